@@ -0,0 +1,501 @@
+// Alert rules evaluated on a timer against queue counts and Redis health.
+// Each rule produces alerts keyed by rule and queue. Only state changes are
+// sent to the webhooks (firing once, resolved once), and an alert that fires
+// again within the cooldown of its last notification is tracked but not sent.
+
+const fs = require("fs");
+const path = require("path");
+const { queueKey } = require("./jobCounts");
+const { globToRegExp } = require("./queueRegistry");
+const { groupBySlot, runCommands } = require("./redisFactory");
+
+const DEFAULT_EVALUATION_INTERVAL = 30000;
+const DEFAULT_COOLDOWN = 15 * 60 * 1000;
+const DEFAULT_FAILED_WINDOW = 5 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const MAX_RESOLVED_ALERTS = 50;
+
+// Rule type -> what it checks and whether it needs a queue pattern
+const RULE_TYPES = {
+  failedDelta: { queue: true, describe: "jobs failed in the window" },
+  waitingBacklog: { queue: true, describe: "waiting jobs" },
+  oldestWaitingAge: { queue: true, describe: "age of the oldest waiting job" },
+  queuePaused: { queue: true, describe: "queue is paused" },
+  redisMemory: { queue: false, describe: "% of Redis memory used" },
+  redisDisconnected: { queue: false, describe: "Redis is not connected" },
+};
+
+// Rule types whose condition is a state rather than a value over a threshold
+const STATE_RULES = ["queuePaused", "redisDisconnected"];
+
+// Validate one rule from the config, returning null (with a warning) if unusable
+function normalizeRule(rule, index) {
+  const id = rule.id || `rule-${index + 1}`;
+  const type = RULE_TYPES[rule.type];
+
+  if (!type) {
+    console.warn(
+      `Skipping alert rule ${id}: unknown type "${
+        rule.type
+      }", expected one of ${Object.keys(RULE_TYPES).join(", ")}`
+    );
+    return null;
+  }
+  if (!STATE_RULES.includes(rule.type) && typeof rule.threshold !== "number") {
+    console.warn(`Skipping alert rule ${id}: threshold must be a number`);
+    return null;
+  }
+
+  return {
+    id,
+    type: rule.type,
+    queue: type.queue ? rule.queue || "*" : null,
+    threshold: STATE_RULES.includes(rule.type) ? null : rule.threshold,
+    window:
+      rule.type === "failedDelta" ? rule.window || DEFAULT_FAILED_WINDOW : null,
+    for: rule.for || 0,
+    severity: rule.severity || "warning",
+    cooldown: rule.cooldown,
+    webhooks: rule.webhooks || null,
+    description: rule.description || null,
+    matchQueue: type.queue ? globToRegExp(rule.queue || "*") : null,
+  };
+}
+
+// Read ALERT_CONFIG_FILE: { rules, webhooks, cooldown, evaluationInterval }
+function loadAlertConfig(env = process.env) {
+  let fileConfig = {};
+  if (env.ALERT_CONFIG_FILE) {
+    const resolved = path.resolve(env.ALERT_CONFIG_FILE);
+    if (fs.existsSync(resolved)) {
+      fileConfig = JSON.parse(fs.readFileSync(resolved, "utf8"));
+      console.log(`Loaded alert config from ${resolved}`);
+    } else {
+      console.warn(`Alert config not found at ${resolved}`);
+    }
+  }
+
+  const webhooks = (fileConfig.webhooks || []).map((webhook, index) => ({
+    name: webhook.name || `webhook-${index + 1}`,
+    url: webhook.url,
+    headers: webhook.headers || {},
+  }));
+  if (env.ALERT_WEBHOOK_URL) {
+    webhooks.push({ name: "env", url: env.ALERT_WEBHOOK_URL, headers: {} });
+  }
+
+  return {
+    rules: (fileConfig.rules || []).map(normalizeRule).filter(Boolean),
+    webhooks: webhooks.filter((webhook) => webhook.url),
+    cooldown: fileConfig.cooldown ?? DEFAULT_COOLDOWN,
+    evaluationInterval:
+      parseInt(env.ALERT_EVALUATION_INTERVAL || 0) ||
+      fileConfig.evaluationInterval ||
+      DEFAULT_EVALUATION_INTERVAL,
+  };
+}
+
+// Failed jobs finished within each rule window, and the age of the oldest
+// waiting job, for the queues of one hash slot group, added to signals
+async function fetchGroupSignals(
+  redisClient,
+  { queues, pipelined },
+  failedWindows,
+  now,
+  signals
+) {
+  const commands = [];
+  queues.forEach((queue) => {
+    failedWindows.forEach((window) => {
+      commands.push((client) =>
+        client.zCount(queueKey(queue, "failed"), now - window, "+inf")
+      );
+    });
+    // New jobs are LPUSHed, so the oldest waiting job is at the tail
+    commands.push(
+      (client) => client.lIndex(queueKey(queue, "wait"), -1),
+      (client) => client.lIndex(queueKey(queue, "paused"), -1)
+    );
+  });
+  const replies = await runCommands(redisClient, commands, pipelined);
+
+  const perQueue = failedWindows.length + 2;
+  const oldestIds = [];
+  queues.forEach((queue, index) => {
+    const offset = index * perQueue;
+    const failedInWindow = new Map();
+    failedWindows.forEach((window, windowIndex) => {
+      failedInWindow.set(window, Number(replies[offset + windowIndex]) || 0);
+    });
+    const oldestId =
+      replies[offset + failedWindows.length] ||
+      replies[offset + failedWindows.length + 1];
+    signals.set(queue.name, { failedInWindow, oldestWaitingAge: 0 });
+    if (oldestId) {
+      oldestIds.push({ queue, jobId: oldestId });
+    }
+  });
+
+  if (oldestIds.length > 0) {
+    const timestamps = await runCommands(
+      redisClient,
+      oldestIds.map(
+        ({ queue, jobId }) =>
+          (client) =>
+            client.hGet(queueKey(queue, jobId), "timestamp")
+      ),
+      pipelined
+    );
+    oldestIds.forEach(({ queue }, index) => {
+      const timestamp = Number(timestamps[index]);
+      if (timestamp) {
+        signals.get(queue.name).oldestWaitingAge = Math.max(0, now - timestamp);
+      }
+    });
+  }
+}
+
+// Signals of the given queues, pipelined per hash slot
+async function fetchQueueSignals(redisClient, queues, failedWindows, now) {
+  const signals = new Map();
+  await Promise.all(
+    groupBySlot(redisClient, queues).map((group) =>
+      fetchGroupSignals(redisClient, group, failedWindows, now, signals)
+    )
+  );
+  return signals;
+}
+
+// sources: { redisClient, getQueueStats() -> [{ name, prefix, waiting, paused, ... }],
+//            getRedisMetrics() -> { memory: { usagePercent } } | null }
+// options.connection names the Redis connection in messages and payloads
+// when the dashboard watches more than one
+function createAlertEngine(config, sources, options = {}) {
+  const onChange = options.onChange || (() => {});
+  const connection = options.connection || null;
+
+  // alert key -> alert; pending alerts wait for rule.for before firing
+  const active = new Map();
+  const resolved = [];
+  // alert key -> time its last firing notification was sent
+  const lastNotified = new Map();
+  let lastEvaluation = null;
+  let timer = null;
+  let evaluating = false;
+
+  async function sendWebhooks(status, alert, rule) {
+    const targets = config.webhooks.filter(
+      (webhook) => !rule.webhooks || rule.webhooks.includes(webhook.name)
+    );
+    const payload = {
+      status,
+      alert: serializeAlert(alert),
+      timestamp: new Date().toISOString(),
+    };
+
+    await Promise.all(
+      targets.map(async (webhook) => {
+        try {
+          const response = await fetch(webhook.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...webhook.headers },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+          });
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+        } catch (error) {
+          console.error(
+            `Alert webhook ${webhook.name} failed for ${alert.key}:`,
+            error.message
+          );
+        }
+      })
+    );
+  }
+
+  function serializeAlert(alert) {
+    return {
+      key: alert.key,
+      connection,
+      ruleId: alert.rule.id,
+      type: alert.rule.type,
+      severity: alert.rule.severity,
+      queue: alert.queue,
+      state: alert.state,
+      value: alert.value,
+      threshold: alert.rule.threshold,
+      message: alert.message,
+      description: alert.rule.description,
+      startsAt: alert.startsAt,
+      firedAt: alert.firedAt,
+      endsAt: alert.endsAt || null,
+      lastEvaluatedAt: alert.lastEvaluatedAt,
+      notified: alert.notified,
+    };
+  }
+
+  function formatMessage(rule, queue, value) {
+    const subject = `${connection ? `[${connection}] ` : ""}${
+      queue ? `Queue ${queue}` : "Redis"
+    }`;
+    if (STATE_RULES.includes(rule.type)) {
+      return `${subject}: ${RULE_TYPES[rule.type].describe}`;
+    }
+    if (rule.type === "oldestWaitingAge") {
+      return `${subject}: oldest waiting job is ${Math.round(
+        value / 1000
+      )}s old (threshold ${Math.round(rule.threshold / 1000)}s)`;
+    }
+    return `${subject}: ${Math.round(value * 100) / 100} ${
+      RULE_TYPES[rule.type].describe
+    } (threshold ${rule.threshold})`;
+  }
+
+  // Returns { evaluatedRuleIds, conditions: [{ rule, queue, value }] }
+  async function collectConditions(now) {
+    const conditions = [];
+    const evaluatedRuleIds = new Set();
+    const redisReady = sources.redisClient.isReady;
+
+    config.rules
+      .filter((rule) => rule.type === "redisDisconnected")
+      .forEach((rule) => {
+        evaluatedRuleIds.add(rule.id);
+        if (!redisReady) {
+          conditions.push({ rule, queue: null, value: 1 });
+        }
+      });
+
+    // Without Redis nothing else can be checked, and its alerts stay as they are
+    if (!redisReady) {
+      return { evaluatedRuleIds, conditions };
+    }
+
+    const memoryRules = config.rules.filter(
+      (rule) => rule.type === "redisMemory"
+    );
+    if (memoryRules.length > 0) {
+      const metrics = await sources.getRedisMetrics();
+      if (metrics) {
+        const usagePercent = parseFloat(metrics.memory.usagePercent) || 0;
+        memoryRules.forEach((rule) => {
+          evaluatedRuleIds.add(rule.id);
+          if (usagePercent >= rule.threshold) {
+            conditions.push({ rule, queue: null, value: usagePercent });
+          }
+        });
+      }
+    }
+
+    const queueRules = config.rules.filter((rule) => rule.matchQueue);
+    if (queueRules.length === 0) {
+      return { evaluatedRuleIds, conditions };
+    }
+
+    const queues = await sources.getQueueStats();
+    if (!queues) {
+      return { evaluatedRuleIds, conditions };
+    }
+
+    const watchedQueues = queues.filter((queue) =>
+      queueRules.some((rule) => rule.matchQueue.test(queue.name))
+    );
+    const failedWindows = Array.from(
+      new Set(
+        queueRules
+          .filter((rule) => rule.type === "failedDelta")
+          .map((rule) => rule.window)
+      )
+    );
+    const needsSignals = queueRules.some((rule) =>
+      ["failedDelta", "oldestWaitingAge"].includes(rule.type)
+    );
+    const signals = needsSignals
+      ? await fetchQueueSignals(
+          sources.redisClient,
+          watchedQueues,
+          failedWindows,
+          now
+        )
+      : new Map();
+
+    queueRules.forEach((rule) => {
+      evaluatedRuleIds.add(rule.id);
+      watchedQueues
+        .filter((queue) => rule.matchQueue.test(queue.name))
+        .forEach((queue) => {
+          const signal = signals.get(queue.name);
+          let value = null;
+          let breached = false;
+
+          if (rule.type === "failedDelta") {
+            value = signal.failedInWindow.get(rule.window);
+            breached = value >= rule.threshold;
+          } else if (rule.type === "waitingBacklog") {
+            value = queue.waiting;
+            breached = value >= rule.threshold;
+          } else if (rule.type === "oldestWaitingAge") {
+            value = signal.oldestWaitingAge;
+            breached = value >= rule.threshold;
+          } else if (rule.type === "queuePaused") {
+            value = queue.paused ? 1 : 0;
+            breached = Boolean(queue.paused);
+          }
+
+          if (breached) {
+            conditions.push({ rule, queue: queue.name, value });
+          }
+        });
+    });
+
+    return { evaluatedRuleIds, conditions };
+  }
+
+  async function fire(alert, now) {
+    const cooldown = alert.rule.cooldown ?? config.cooldown;
+    const last = lastNotified.get(alert.key);
+
+    alert.state = "firing";
+    alert.firedAt = new Date(now).toISOString();
+    alert.notified = !last || now - last >= cooldown;
+
+    if (alert.notified) {
+      lastNotified.set(alert.key, now);
+      console.warn(`🚨 Alert firing: ${alert.message}`);
+      await sendWebhooks("firing", alert, alert.rule);
+    } else {
+      console.warn(
+        `Alert firing within cooldown, not notified: ${alert.message}`
+      );
+    }
+  }
+
+  async function resolve(alert, now) {
+    const wasFiring = alert.state === "firing";
+    alert.state = "resolved";
+    alert.endsAt = new Date(now).toISOString();
+    active.delete(alert.key);
+
+    if (!wasFiring) return;
+
+    resolved.unshift(alert);
+    resolved.splice(MAX_RESOLVED_ALERTS);
+    console.log(`✅ Alert resolved: ${alert.message}`);
+    // Only alerts whose firing was sent get a resolved notification
+    if (alert.notified) {
+      await sendWebhooks("resolved", alert, alert.rule);
+    }
+  }
+
+  async function evaluate() {
+    if (evaluating) return;
+    evaluating = true;
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+    let changed = false;
+
+    try {
+      const { evaluatedRuleIds, conditions } = await collectConditions(now);
+      const seen = new Set();
+      const notifications = [];
+
+      conditions.forEach(({ rule, queue, value }) => {
+        const key = queue ? `${rule.id}:${queue}` : rule.id;
+        seen.add(key);
+
+        let alert = active.get(key);
+        if (!alert) {
+          alert = {
+            key,
+            rule,
+            queue,
+            state: "pending",
+            startsAt: nowIso,
+            notified: false,
+          };
+          active.set(key, alert);
+          changed = true;
+        }
+        alert.value = value;
+        alert.message = formatMessage(rule, queue, value);
+        alert.lastEvaluatedAt = nowIso;
+
+        if (
+          alert.state === "pending" &&
+          now - Date.parse(alert.startsAt) >= rule.for
+        ) {
+          notifications.push(fire(alert, now));
+          changed = true;
+        }
+      });
+
+      // Resolve alerts whose rule was checked and no longer matches
+      active.forEach((alert, key) => {
+        if (!seen.has(key) && evaluatedRuleIds.has(alert.rule.id)) {
+          notifications.push(resolve(alert, now));
+          changed = true;
+        }
+      });
+
+      await Promise.all(notifications);
+      lastEvaluation = {
+        at: nowIso,
+        durationMs: Date.now() - now,
+        error: null,
+      };
+    } catch (error) {
+      console.error("Error evaluating alert rules:", error.message);
+      lastEvaluation = {
+        at: nowIso,
+        durationMs: Date.now() - now,
+        error: error.message,
+      };
+    } finally {
+      evaluating = false;
+    }
+
+    if (changed) {
+      onChange(getState());
+    }
+  }
+
+  function getState() {
+    return {
+      active: Array.from(active.values()).map(serializeAlert),
+      resolved: resolved.map(serializeAlert),
+      lastEvaluation,
+    };
+  }
+
+  function start() {
+    if (timer || config.rules.length === 0) return;
+    timer = setInterval(evaluate, config.evaluationInterval);
+    timer.unref();
+    console.log(
+      `Evaluating ${config.rules.length} alert rules every ${config.evaluationInterval}ms (${config.webhooks.length} webhooks)`
+    );
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    evaluate,
+    getState,
+    getRules: () => config.rules.map(({ matchQueue, ...rule }) => rule),
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  loadAlertConfig,
+  createAlertEngine,
+};
@@ -0,0 +1,313 @@
+// Append-only audit log of mutating API calls. Each call is written as one
+// JSON line to AUDIT_LOG_FILE once its response is sent, with the user,
+// action, queue, job IDs, parameters and outcome. The most recent entries are
+// kept in memory for GET /api/audit; the file itself is never rewritten.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_MAX_MEMORY_ENTRIES = 10000;
+const MAX_PARAMS_LENGTH = 2000;
+const MAX_JOB_IDS = 1000;
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Route suffix under /api/queues/:queueName -> action name
+const QUEUE_ACTIONS = [
+  [/^\/jobs$/, () => "job.add"],
+  [/^\/jobs\/retry$/, () => "jobs.retry"],
+  [/^\/jobs\/retry-all$/, () => "jobs.retryAll"],
+  [/^\/import$/, () => "jobs.import"],
+  [/^\/failed-groups\/[^/]+\/([^/]+)$/, (match) => `failedGroup.${match[1]}`],
+  [/^\/jobs\/id\/[^/]+\/([^/]+)$/, (match) => `job.${match[1]}`],
+  [/^\/pause$/, () => "queue.pause"],
+  [/^\/resume$/, () => "queue.resume"],
+  [/^\/clean$/, () => "queue.clean"],
+  [/^\/repeatable\/remove$/, () => "repeatable.remove"],
+];
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Connection, action, queue and path job ID for a path relative to /api.
+// Routes scoped to a Redis connection start with /connections/:connection.
+function describeRequest(method, requestPath, defaultConnection) {
+  const connectionMatch = requestPath.match(/^\/connections\/([^/]+)(\/.*)?$/);
+  const connection = connectionMatch
+    ? safeDecode(connectionMatch[1])
+    : defaultConnection;
+  const apiPath = connectionMatch ? connectionMatch[2] || "/" : requestPath;
+
+  const queueMatch = apiPath.match(/^\/queues\/([^/]+)(\/.*)?$/);
+  if (!queueMatch) {
+    return {
+      connection,
+      action: `${method} ${apiPath}`,
+      queue: null,
+      jobId: null,
+    };
+  }
+
+  const queue = safeDecode(queueMatch[1]);
+  const suffix = queueMatch[2] || "";
+  const jobMatch = suffix.match(/^\/jobs\/id\/([^/]+)\//);
+  const jobId = jobMatch ? safeDecode(jobMatch[1]) : null;
+  for (const [pattern, name] of QUEUE_ACTIONS) {
+    const match = suffix.match(pattern);
+    if (match) {
+      return { connection, action: name(match), queue, jobId };
+    }
+  }
+  return { connection, action: `${method} ${suffix || "/"}`, queue, jobId };
+}
+
+// Request parameters without the job ID list, shortened when it is large. Job data
+// can hold customer details and the log is readable by viewers, so only its
+// size in bytes is kept.
+function summarizeParams(requestParams) {
+  if (!requestParams || typeof requestParams !== "object") return null;
+  const { jobIds, data, ...params } = requestParams;
+  if (data !== undefined) {
+    params.dataBytes = Buffer.byteLength(JSON.stringify(data) || "");
+  }
+  if (Object.keys(params).length === 0) return null;
+
+  const json = JSON.stringify(params);
+  return json.length > MAX_PARAMS_LENGTH
+    ? { truncated: true, preview: json.slice(0, MAX_PARAMS_LENGTH) }
+    : params;
+}
+
+function createAuditLog(options = {}) {
+  const file =
+    options.file ||
+    process.env.AUDIT_LOG_FILE ||
+    path.join(process.cwd(), "data", "audit.log");
+  const maxMemoryEntries =
+    options.maxMemoryEntries ||
+    parseInt(process.env.AUDIT_MAX_MEMORY_ENTRIES || 0) ||
+    DEFAULT_MAX_MEMORY_ENTRIES;
+  const defaultConnection = options.defaultConnection || null;
+
+  let entries = []; // Oldest first
+  let nextId = 1;
+  // Bulk results that arrived before the request that started them was logged
+  const pendingResults = new Map();
+  // Appends are chained so lines are written in order
+  let writing = fs.promises
+    .mkdir(path.dirname(file), { recursive: true })
+    .catch((error) => {
+      console.error("Could not create audit log directory:", error.message);
+    });
+
+  function load() {
+    try {
+      const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+      entries = lines
+        .slice(-maxMemoryEntries)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+      nextId = lines.length + 1;
+      console.log(
+        `Loaded ${entries.length} of ${lines.length} audit log entries`
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Could not load audit log from ${file}:`, error.message);
+      }
+    }
+  }
+
+  function record(entry) {
+    const jobIds = (entry.jobIds || []).map(String);
+    const full = {
+      id: nextId++,
+      timestamp: new Date().toISOString(),
+      user: entry.user || "anonymous",
+      role: entry.role || null,
+      connection: entry.connection || null,
+      action: entry.action,
+      queue: entry.queue || null,
+      jobIds: jobIds.slice(0, MAX_JOB_IDS),
+      jobCount: jobIds.length,
+      params: entry.params || null,
+      outcome: entry.outcome,
+    };
+
+    entries.push(full);
+    if (entries.length > maxMemoryEntries) {
+      entries.splice(0, entries.length - maxMemoryEntries);
+    }
+
+    const line = `${JSON.stringify(full)}\n`;
+    writing = writing
+      .then(() => fs.promises.appendFile(file, line))
+      .catch((error) => {
+        console.error(`Could not write audit log to ${file}:`, error.message);
+      });
+    return full;
+  }
+
+  // Express middleware for /api: records non GET calls once they respond
+  function middleware(req, res, next) {
+    if (SAFE_METHODS.includes(req.method) || req.path.startsWith("/auth/")) {
+      return next();
+    }
+
+    const { connection, action, queue, jobId } = describeRequest(
+      req.method,
+      req.path,
+      defaultConnection
+    );
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // "close" also fires when the client gives up before the response is sent
+    res.on("close", () => {
+      const finished = res.writableFinished;
+      const body = req.body || {};
+      // Query parameters (e.g. import's opts and keepJobIds) and, for
+      // failed-group actions, the group signature echoed from the path
+      const params = {
+        ...req.query,
+        ...(responseBody && responseBody.signature
+          ? { signature: responseBody.signature }
+          : {}),
+        ...body,
+      };
+      const jobIds = jobId
+        ? [jobId]
+        : Array.isArray(body.jobIds)
+        ? body.jobIds
+        : responseBody && responseBody.jobId
+        ? [responseBody.jobId]
+        : responseBody && Array.isArray(responseBody.jobIds)
+        ? responseBody.jobIds
+        : [];
+
+      const entry = record({
+        user: req.user && req.user.name,
+        role: req.user && req.user.role,
+        connection,
+        action,
+        queue,
+        jobIds,
+        params: summarizeParams(params),
+        outcome: {
+          status: finished ? res.statusCode : null,
+          success: finished && res.statusCode < 400,
+          ...(finished
+            ? {}
+            : { error: "Client disconnected before a response" }),
+          ...(responseBody && responseBody.error
+            ? { error: responseBody.error }
+            : {}),
+          ...(responseBody && responseBody.operationId
+            ? {
+                operationId: responseBody.operationId,
+                total: responseBody.total,
+              }
+            : {}),
+        },
+      });
+
+      const operationId = entry.outcome.operationId;
+      if (operationId && pendingResults.has(operationId)) {
+        const result = pendingResults.get(operationId);
+        pendingResults.delete(operationId);
+        recordOperationResult(operationId, result);
+      }
+    });
+    next();
+  }
+
+  // Background bulk actions append a second entry when they finish
+  function recordOperationResult(operationId, result) {
+    const started = entries
+      .slice()
+      .reverse()
+      .find(
+        (entry) => entry.outcome && entry.outcome.operationId === operationId
+      );
+    if (!started) {
+      pendingResults.set(operationId, result);
+      return;
+    }
+
+    record({
+      user: started.user,
+      role: started.role,
+      connection: started.connection,
+      action: `${started.action}.complete`,
+      queue: started.queue,
+      outcome: {
+        operationId,
+        success: !result.error && !result.failed,
+        ...result,
+      },
+    });
+  }
+
+  // Newest first, filtered by exact connection/queue/action and user substring
+  function query({ connection, queue, user, action, start = 0, limit = 50 }) {
+    const userFilter = user ? user.toLowerCase() : null;
+    const matching = entries.filter(
+      (entry) =>
+        (!connection || entry.connection === connection) &&
+        (!queue || entry.queue === queue) &&
+        (!action || entry.action === action) &&
+        (!userFilter || String(entry.user).toLowerCase().includes(userFilter))
+    );
+    matching.reverse();
+
+    return {
+      total: matching.length,
+      start,
+      limit,
+      entries: matching.slice(start, start + limit),
+    };
+  }
+
+  function getFilterValues() {
+    return {
+      connections: Array.from(
+        new Set(entries.map((entry) => entry.connection).filter(Boolean))
+      ).sort(),
+      queues: Array.from(
+        new Set(entries.map((entry) => entry.queue).filter(Boolean))
+      ).sort(),
+      users: Array.from(new Set(entries.map((entry) => entry.user))).sort(),
+      actions: Array.from(new Set(entries.map((entry) => entry.action))).sort(),
+    };
+  }
+
+  return {
+    file,
+    load,
+    record,
+    middleware,
+    recordOperationResult,
+    query,
+    getFilterValues,
+  };
+}
+
+module.exports = {
+  createAuditLog,
+  describeRequest,
+  summarizeParams,
+};
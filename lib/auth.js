@@ -0,0 +1,393 @@
+// Authentication and roles for the API, /metrics and the socket.io handshake.
+// Requests are identified, in order, by a session cookie from the login page,
+// a static API token (Authorization: Bearer), basic auth, or a user header
+// set by a trusted reverse proxy. Viewers can read everything; only operators
+// can call mutating (non GET) routes. With no users, tokens or proxy header
+// configured, auth is disabled and every request acts as an operator.
+// Repeated password failures from one address back off exponentially before
+// another password is checked from it. They are not counted per username, so
+// nobody can lock a known account out.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parseList } = require("./queueRegistry");
+
+const ROLES = ["viewer", "operator"];
+const SESSION_COOKIE = "bull_dashboard_session";
+const DEFAULT_SESSION_TTL = 12 * 60 * 60 * 1000;
+const DEFAULT_TRUSTED_PROXIES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+// Failed passwords allowed before backing off, the first and longest delay,
+// and how long a quiet address keeps its failure count
+const FREE_LOGIN_ATTEMPTS = 5;
+const LOGIN_BACKOFF_BASE = 1000;
+const LOGIN_BACKOFF_MAX = 15 * 60 * 1000;
+const LOGIN_FAILURE_TTL = 60 * 60 * 1000;
+
+// Anonymous user used while auth is disabled
+const ANONYMOUS_OPERATOR = { name: "anonymous", role: "operator", via: "none" };
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function normalizeRole(role, fallback = "viewer") {
+  return ROLES.includes(role) ? role : fallback;
+}
+
+// Constant time comparison of two strings of any length
+function safeEqual(a, b) {
+  const hashA = crypto.createHash("sha256").update(String(a)).digest();
+  const hashB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Passwords are plain text or "sha256:<hex digest>"
+function checkPassword(stored, password) {
+  if (typeof stored !== "string" || typeof password !== "string") {
+    return false;
+  }
+  if (stored.startsWith("sha256:")) {
+    const digest = crypto.createHash("sha256").update(password).digest("hex");
+    return safeEqual(stored.slice("sha256:".length).toLowerCase(), digest);
+  }
+  return safeEqual(stored, password);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || "").split(";").forEach((part) => {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(
+        part.slice(index + 1).trim()
+      );
+    }
+  });
+  return cookies;
+}
+
+// "name:secret:role" entries from AUTH_USERS / AUTH_TOKENS. The secret may
+// hold colons itself ("sha256:<hex digest>"), so the role is only split off
+// the end when it names a role.
+function parseCredentialList(value) {
+  return parseList(value).map((entry) => {
+    const [name, ...rest] = entry.split(":");
+    const role =
+      rest.length > 1 && ROLES.includes(rest[rest.length - 1])
+        ? rest.pop()
+        : undefined;
+    return { name, secret: rest.join(":"), role };
+  });
+}
+
+// Read AUTH_CONFIG_FILE: { users, tokens, proxy, sessionTtl }, plus AUTH_* variables
+function loadAuthConfig(env = process.env) {
+  let fileConfig = {};
+  if (env.AUTH_CONFIG_FILE) {
+    const resolved = path.resolve(env.AUTH_CONFIG_FILE);
+    if (fs.existsSync(resolved)) {
+      fileConfig = JSON.parse(fs.readFileSync(resolved, "utf8"));
+      console.log(`Loaded auth config from ${resolved}`);
+    } else {
+      console.warn(`Auth config not found at ${resolved}`);
+    }
+  }
+
+  const users = [
+    ...(fileConfig.users || []),
+    ...parseCredentialList(env.AUTH_USERS).map(({ name, secret, role }) => ({
+      username: name,
+      password: secret,
+      role,
+    })),
+  ]
+    .filter((user) => user.username && user.password)
+    .map((user) => ({
+      username: user.username,
+      password: user.password,
+      role: normalizeRole(user.role),
+    }));
+
+  const tokens = [
+    ...(fileConfig.tokens || []),
+    ...parseCredentialList(env.AUTH_TOKENS).map(({ name, secret, role }) => ({
+      name,
+      token: secret,
+      role,
+    })),
+  ]
+    .filter((token) => token.name && token.token)
+    .map((token) => ({
+      name: token.name,
+      token: token.token,
+      role: normalizeRole(token.role),
+    }));
+
+  const fileProxy = fileConfig.proxy || {};
+  const proxyHeader = env.AUTH_PROXY_HEADER || fileProxy.header;
+  const proxy = proxyHeader
+    ? {
+        header: proxyHeader.toLowerCase(),
+        roleHeader: (
+          env.AUTH_PROXY_ROLE_HEADER ||
+          fileProxy.roleHeader ||
+          ""
+        ).toLowerCase(),
+        defaultRole: normalizeRole(
+          env.AUTH_PROXY_DEFAULT_ROLE || fileProxy.defaultRole
+        ),
+        trustedProxies: env.AUTH_TRUSTED_PROXIES
+          ? parseList(env.AUTH_TRUSTED_PROXIES)
+          : fileProxy.trustedProxies || DEFAULT_TRUSTED_PROXIES,
+      }
+    : null;
+
+  return {
+    users,
+    tokens,
+    proxy,
+    sessionTtl:
+      parseInt(env.AUTH_SESSION_TTL || 0) ||
+      fileConfig.sessionTtl ||
+      DEFAULT_SESSION_TTL,
+  };
+}
+
+function createAuth(config) {
+  const enabled =
+    config.users.length > 0 ||
+    config.tokens.length > 0 ||
+    Boolean(config.proxy);
+
+  // session id -> { user, expiresAt }
+  const sessions = new Map();
+  // client address -> { failures, blockedUntil, lastFailure }
+  const loginFailures = new Map();
+
+  // Milliseconds until a password may be tried again from this address, 0
+  // when it may be tried now
+  function loginRetryAfter(remoteAddress) {
+    const entry = loginFailures.get(remoteAddress || "unknown");
+    return entry ? Math.max(0, entry.blockedUntil - Date.now()) : 0;
+  }
+
+  function recordLoginResult(remoteAddress, valid) {
+    const key = remoteAddress || "unknown";
+    if (valid) {
+      loginFailures.delete(key);
+      return;
+    }
+
+    const now = Date.now();
+    const entry = loginFailures.get(key) || { failures: 0 };
+    entry.failures++;
+    entry.lastFailure = now;
+    entry.blockedUntil =
+      entry.failures > FREE_LOGIN_ATTEMPTS
+        ? now +
+          Math.min(
+            LOGIN_BACKOFF_BASE *
+              2 ** (entry.failures - FREE_LOGIN_ATTEMPTS - 1),
+            LOGIN_BACKOFF_MAX
+          )
+        : 0;
+    loginFailures.set(key, entry);
+  }
+
+  // Account for a username and password, or null. Passwords are not checked
+  // while the address is backing off.
+  function verifyPassword(username, password, remoteAddress) {
+    if (loginRetryAfter(remoteAddress) > 0) {
+      return null;
+    }
+    const account = config.users.find((user) => user.username === username);
+    // Still compare when the user is unknown so timing does not reveal it
+    const valid = checkPassword(account ? account.password : "", password);
+    recordLoginResult(remoteAddress, Boolean(account && valid));
+    return account && valid ? account : null;
+  }
+
+  function login(username, password, remoteAddress) {
+    const account = verifyPassword(username, password, remoteAddress);
+    if (!account) {
+      return null;
+    }
+
+    const sessionId = crypto.randomBytes(32).toString("hex");
+    const user = { name: account.username, role: account.role, via: "login" };
+    sessions.set(sessionId, {
+      user,
+      expiresAt: Date.now() + config.sessionTtl,
+    });
+    return { sessionId, user };
+  }
+
+  function logout(sessionId) {
+    sessions.delete(sessionId);
+  }
+
+  function fromSession(cookies) {
+    const session = sessions.get(cookies[SESSION_COOKIE]);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(cookies[SESSION_COOKIE]);
+      return null;
+    }
+    return session.user;
+  }
+
+  function fromAuthorization(header, remoteAddress) {
+    if (!header) return null;
+    const [scheme, value] = header.split(" ");
+
+    if (/^bearer$/i.test(scheme) && value) {
+      const token = config.tokens.find((entry) =>
+        safeEqual(entry.token, value)
+      );
+      return token
+        ? { name: token.name, role: token.role, via: "token" }
+        : null;
+    }
+
+    if (/^basic$/i.test(scheme) && value) {
+      const decoded = Buffer.from(value, "base64").toString("utf8");
+      const index = decoded.indexOf(":");
+      const account = verifyPassword(
+        decoded.slice(0, index),
+        decoded.slice(index + 1),
+        remoteAddress
+      );
+      return account
+        ? { name: account.username, role: account.role, via: "basic" }
+        : null;
+    }
+
+    return null;
+  }
+
+  // The header is only believed from the configured proxy addresses
+  function fromProxy(headers, remoteAddress) {
+    const { proxy } = config;
+    if (!proxy || !headers[proxy.header]) return null;
+    if (!proxy.trustedProxies.includes(remoteAddress)) {
+      console.warn(
+        `Ignoring ${proxy.header} header from untrusted address ${remoteAddress}`
+      );
+      return null;
+    }
+
+    return {
+      name: String(headers[proxy.header]),
+      role: normalizeRole(
+        proxy.roleHeader ? headers[proxy.roleHeader] : null,
+        proxy.defaultRole
+      ),
+      via: "proxy",
+    };
+  }
+
+  // User for an HTTP request or socket.io handshake request, or null
+  function authenticate(request, handshakeToken) {
+    if (!enabled) return ANONYMOUS_OPERATOR;
+
+    const headers = request.headers || {};
+    const remoteAddress = request.socket && request.socket.remoteAddress;
+    return (
+      fromSession(parseCookies(headers.cookie)) ||
+      fromAuthorization(headers.authorization, remoteAddress) ||
+      (handshakeToken ? fromAuthorization(`Bearer ${handshakeToken}`) : null) ||
+      fromProxy(headers, remoteAddress)
+    );
+  }
+
+  // Express middleware: 401 without a user, 403 for viewers on mutating routes
+  function middleware(req, res, next) {
+    const user = authenticate(req);
+    if (!user) {
+      if (config.users.length > 0 && !req.originalUrl.startsWith("/api/")) {
+        res.set("WWW-Authenticate", 'Basic realm="Bull Dashboard"');
+      }
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    req.user = user;
+    if (!SAFE_METHODS.includes(req.method) && !hasRole(user, "operator")) {
+      return res
+        .status(403)
+        .json({ error: "Operator role required for this action" });
+    }
+    next();
+  }
+
+  // socket.io middleware: reject the handshake without a user
+  function socketMiddleware(socket, next) {
+    const user = authenticate(
+      socket.request,
+      socket.handshake.auth && socket.handshake.auth.token
+    );
+    if (!user) {
+      return next(new Error("unauthorized"));
+    }
+    socket.data.user = user;
+    next();
+  }
+
+  function sessionCookie(sessionId, secure) {
+    return [
+      `${SESSION_COOKIE}=${encodeURIComponent(sessionId)}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Lax",
+      `Max-Age=${Math.floor(config.sessionTtl / 1000)}`,
+      ...(secure ? ["Secure"] : []),
+    ].join("; ");
+  }
+
+  function clearSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+
+  // Drop expired sessions and old login failures now and then so the maps do
+  // not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    sessions.forEach((session, sessionId) => {
+      if (session.expiresAt <= now) {
+        sessions.delete(sessionId);
+      }
+    });
+    loginFailures.forEach((entry, address) => {
+      if (
+        entry.blockedUntil <= now &&
+        entry.lastFailure + LOGIN_FAILURE_TTL <= now
+      ) {
+        loginFailures.delete(address);
+      }
+    });
+  }, 10 * 60 * 1000).unref();
+
+  return {
+    enabled,
+    methods: {
+      login: config.users.length > 0,
+      token: config.tokens.length > 0,
+      proxy: Boolean(config.proxy),
+    },
+    authenticate,
+    middleware,
+    socketMiddleware,
+    login,
+    loginRetryAfter,
+    logout,
+    sessionIdFrom: (req) => parseCookies(req.headers.cookie)[SESSION_COOKIE],
+    sessionCookie,
+    clearSessionCookie,
+  };
+}
+
+module.exports = {
+  createAuth,
+  loadAuthConfig,
+};
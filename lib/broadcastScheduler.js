@@ -0,0 +1,165 @@
+// One refresh loop shared by every connected dashboard. Each tick collects
+// queue stats once and broadcasts them as one queueStats event, so Redis load
+// does not grow with the number of open browsers. The interval doubles while ticks are slow or fail
+// (e.g. withTimeout rejections), recovers once Redis is healthy again, and
+// the loop sleeps while no clients are connected.
+
+const DEFAULT_INTERVAL = 5000;
+const DEFAULT_MAX_INTERVAL = 60000;
+const SLOW_TICK_MS = 1000; // Ticks slower than this mean Redis is under load
+const PROGRESS_BATCH_SIZE = 50;
+
+// Send a newly connected dashboard its first stats as the progressive loading
+// events it shows while the queue list loads, then as a queueStats snapshot
+// for a dashboard that already loaded the list over HTTP
+function emitInitialQueues(socket, queues) {
+  const totalQueues = queues.length;
+  for (let index = 0; index < totalQueues; index += PROGRESS_BATCH_SIZE) {
+    const processedQueues = Math.min(index + PROGRESS_BATCH_SIZE, totalQueues);
+    socket.emit("queueProcessingProgress", {
+      processedQueues,
+      totalQueues,
+      progress: Math.round((processedQueues / totalQueues) * 100),
+      message: `Processed ${processedQueues} of ${totalQueues} queues`,
+      latestQueue: queues[processedQueues - 1],
+    });
+  }
+  socket.emit("queueProcessingComplete", { queues });
+  socket.emit("queueStats", queues);
+}
+
+// collect() resolves to { queues, redisMetrics, error }. When error is set the
+// queue counts are not trusted, so the previous ones stay on screen.
+// options.room limits the broadcasts (and the client check) to one socket.io room.
+function createBroadcastScheduler(io, collect, options = {}) {
+  const baseInterval =
+    options.interval ||
+    parseInt(process.env.BROADCAST_INTERVAL || 0) ||
+    DEFAULT_INTERVAL;
+  const maxInterval = Math.max(
+    options.maxInterval ||
+      parseInt(process.env.BROADCAST_MAX_INTERVAL || 0) ||
+      DEFAULT_MAX_INTERVAL,
+    baseInterval
+  );
+  const slowTickMs = options.slowTickMs || SLOW_TICK_MS;
+  const room = options.room || null;
+  const target = room ? io.to(room) : io;
+
+  let interval = baseInterval;
+  let timer = null;
+  let ticking = false;
+  let started = false;
+  let lastTick = null;
+
+  function hasClients() {
+    if (room) {
+      const sockets = io.of("/").adapter.rooms.get(room);
+      return Boolean(sockets) && sockets.size > 0;
+    }
+    return io.engine.clientsCount > 0;
+  }
+
+  function schedule() {
+    if (!started || timer || ticking || !hasClients()) return;
+    timer = setTimeout(tick, interval);
+  }
+
+  function adjustInterval(durationMs, failed) {
+    const previous = interval;
+    if (failed || durationMs > slowTickMs) {
+      interval = Math.min(interval * 2, maxInterval);
+    } else if (interval > baseInterval) {
+      interval = Math.max(Math.floor(interval / 2), baseInterval);
+    }
+
+    if (interval !== previous) {
+      console.log(
+        `Broadcast interval ${
+          interval > previous ? "backed off" : "recovered"
+        } to ${interval}ms (last tick ${durationMs}ms${
+          failed ? ", failed" : ""
+        })`
+      );
+    }
+  }
+
+  async function tick() {
+    timer = null;
+    if (!hasClients()) {
+      console.log(
+        `No dashboard clients connected${
+          room ? ` to ${room}` : ""
+        }, pausing broadcasts`
+      );
+      return;
+    }
+
+    ticking = true;
+    const startedAt = Date.now();
+    let failed = false;
+
+    try {
+      const { queues, redisMetrics, error } = await collect();
+      if (error) {
+        failed = true;
+        console.warn("Skipping queue stats broadcast:", error);
+      } else {
+        target.emit("queueStats", queues);
+      }
+      if (redisMetrics) {
+        target.emit("redisMetrics", redisMetrics);
+      }
+    } catch (error) {
+      failed = true;
+      console.error("Error in broadcast tick:", error.message);
+    } finally {
+      ticking = false;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    lastTick = {
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs,
+      failed,
+    };
+    adjustInterval(durationMs, failed);
+    schedule();
+  }
+
+  function start() {
+    started = true;
+    schedule();
+  }
+
+  function stop() {
+    started = false;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  // Called when a client connects; wakes a sleeping loop
+  function resume() {
+    schedule();
+  }
+
+  return {
+    start,
+    stop,
+    resume,
+    getStatus: () => ({
+      running: Boolean(timer || ticking),
+      interval,
+      baseInterval,
+      maxInterval,
+      lastTick,
+    }),
+  };
+}
+
+module.exports = {
+  createBroadcastScheduler,
+  emitInitialQueues,
+};
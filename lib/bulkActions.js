@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+
+const DEFAULT_CHUNK_SIZE = 100;
+const CHUNK_DELAY_MS = 50; // Breathing room for production Redis between chunks
+const MAX_REPORTED_ERRORS = 100;
+
+// Run an action over many job IDs in fixed-size chunks.
+// Jobs in a chunk run in parallel, chunks run one after another, and
+// onProgress is called after every chunk with the running totals.
+async function runInChunks(jobIds, action, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const onProgress = options.onProgress || (() => {});
+  const progress = {
+    total: jobIds.length,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  for (let index = 0; index < jobIds.length; index += chunkSize) {
+    const chunk = jobIds.slice(index, index + chunkSize);
+    const results = await Promise.allSettled(chunk.map(action));
+
+    results.forEach((result, resultIndex) => {
+      if (result.status === "fulfilled") {
+        progress.succeeded++;
+      } else {
+        progress.failed++;
+        if (progress.errors.length < MAX_REPORTED_ERRORS) {
+          progress.errors.push({
+            jobId: chunk[resultIndex],
+            error: result.reason.message,
+          });
+        }
+      }
+    });
+    progress.processed += chunk.length;
+    onProgress(progress);
+
+    if (progress.processed < progress.total) {
+      await new Promise((resolve) => setTimeout(resolve, CHUNK_DELAY_MS));
+    }
+  }
+
+  return progress;
+}
+
+function createOperationId() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  runInChunks,
+  createOperationId,
+};
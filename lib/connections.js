@@ -0,0 +1,200 @@
+// Named Redis connections (e.g. staging and production) served by one
+// dashboard. Each connection has its own Redis client, discovery cache and
+// Bull/BullMQ queue instances. REDIS_CONNECTIONS_FILE lists the connections;
+// without it the REDIS_* variables describe a single connection named "default".
+
+const fs = require("fs");
+const path = require("path");
+const { createQueueDiscovery, parsePrefixes } = require("./queueDiscovery");
+const { getAdapter: getLibraryAdapter } = require("./queueAdapters");
+const {
+  createRedisClient,
+  describeRedisTarget,
+  normalizePrefixes,
+  parseRedisConfig,
+  redisConfigFromEnv,
+} = require("./redisFactory");
+
+const DEFAULT_CONNECTION_NAME = "default";
+// Names end up in URLs and socket.io room names
+const CONNECTION_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Read REDIS_CONNECTIONS_FILE: { connections: [{ name, label, color, redis, prefixes, default }] }
+function loadConnectionConfig(env = process.env) {
+  let fileConnections = [];
+  if (env.REDIS_CONNECTIONS_FILE) {
+    const resolved = path.resolve(env.REDIS_CONNECTIONS_FILE);
+    if (fs.existsSync(resolved)) {
+      fileConnections =
+        JSON.parse(fs.readFileSync(resolved, "utf8")).connections || [];
+      console.log(`Loaded Redis connections from ${resolved}`);
+    } else {
+      console.warn(`Redis connections file not found at ${resolved}`);
+    }
+  }
+
+  const connections = [];
+  fileConnections.forEach((connection) => {
+    if (!CONNECTION_NAME_PATTERN.test(connection.name || "")) {
+      console.warn(
+        `Skipping Redis connection "${connection.name}": names may only contain letters, digits, "_" and "-"`
+      );
+      return;
+    }
+    if (connections.some((existing) => existing.name === connection.name)) {
+      console.warn(`Skipping duplicate Redis connection "${connection.name}"`);
+      return;
+    }
+    connections.push({
+      name: connection.name,
+      label: connection.label || connection.name,
+      color: connection.color || null,
+      redis: connection.redis || {},
+      prefixes: connection.prefixes || null,
+      default: Boolean(connection.default),
+    });
+  });
+
+  if (connections.length === 0) {
+    connections.push({
+      name: DEFAULT_CONNECTION_NAME,
+      label: env.REDIS_CONNECTION_LABEL || "Redis",
+      color: null,
+      redis: redisConfigFromEnv(env),
+      prefixes: null,
+      default: true,
+    });
+  }
+
+  // The first connection is the default unless one is marked
+  if (!connections.some((connection) => connection.default)) {
+    connections[0].default = true;
+  }
+  return connections;
+}
+
+// One connection's Redis client, discovery cache and queue instances. The
+// client and every queue instance are built from the same parsed config.
+function createConnection(config) {
+  const redisConfig = parseRedisConfig(config.redis);
+  console.log(
+    `Creating Redis client for ${config.name}: ${describeRedisTarget(
+      redisConfig
+    )}`
+  );
+  const redisClient = createRedisClient(redisConfig);
+  // SCAN based queue discovery, cached and refreshed in the background.
+  // Cluster prefixes are hash tagged, as Bull requires there.
+  const queueDiscovery = createQueueDiscovery(redisClient, {
+    prefixes: normalizePrefixes(
+      redisConfig,
+      config.prefixes || parsePrefixes(process.env.QUEUE_PREFIXES)
+    ),
+  });
+  // queue name -> { library, queue }
+  const queueInstances = new Map();
+
+  // Adapter for the library the queue was discovered with
+  function getAdapter(queueName) {
+    return getLibraryAdapter(queueDiscovery.getLibrary(queueName));
+  }
+
+  // Get the Bull or BullMQ instance for a queue, creating it on first use.
+  // A queue first seen before discovery told its library is created again.
+  // forEvents marks an instance created only to relay job events, which
+  // releaseEventQueue() closes again unless something else used it since.
+  function getQueue(queueName, { forEvents = false } = {}) {
+    const adapter = getAdapter(queueName);
+    const existing = queueInstances.get(queueName);
+    if (existing && existing.library === adapter.library) {
+      if (!forEvents) {
+        existing.eventsOnly = false;
+      }
+      return existing.queue;
+    }
+    if (existing) {
+      existing.queue.close().catch(() => {});
+    }
+
+    const prefix = queueDiscovery.getPrefix(queueName);
+    console.log(
+      `Creating new ${adapter.library} instance for queue: ${prefix}:${queueName} (${config.name})`
+    );
+    const queue = adapter.createQueue(queueName, redisConfig, prefix);
+    queueInstances.set(queueName, {
+      library: adapter.library,
+      queue,
+      eventsOnly: forEvents,
+    });
+    return queue;
+  }
+
+  // Close a queue instance once its job events are no longer relayed, if
+  // it was only ever used for them
+  function releaseEventQueue(queueName) {
+    const existing = queueInstances.get(queueName);
+    if (!existing || !existing.eventsOnly) return;
+
+    queueInstances.delete(queueName);
+    existing.queue.close().catch(() => {});
+    console.log(`Closed event-only queue instance for ${queueName}`);
+  }
+
+  async function connect() {
+    try {
+      console.log(`Attempting to connect to Redis (${config.name})...`);
+      await redisClient.connect();
+      console.log(`Connected to Redis (${config.name}) successfully`);
+
+      // Add error handler to prevent crashes
+      redisClient.on("error", (error) => {
+        console.error(`Redis client error (${config.name}):`, error.message);
+      });
+      return true;
+    } catch (error) {
+      console.error(`Redis connection error (${config.name}):`, error.message);
+      return false;
+    }
+  }
+
+  return {
+    name: config.name,
+    label: config.label,
+    color: config.color,
+    isDefault: config.default,
+    redisConfig,
+    redisClient,
+    queueDiscovery,
+    hasQueue: (queueName) => queueInstances.has(queueName),
+    getQueue,
+    releaseEventQueue,
+    getAdapter,
+    connect,
+    // Latest Redis metrics sample, the previous INFO CPU counters and recent
+    // samples for the live charts, all owned by the Redis metrics sampler
+    redisMetrics: null,
+    previousCpuValues: {
+      used_cpu_sys: 0,
+      used_cpu_user: 0,
+      timestamp: Date.now(),
+    },
+    redisMetricsHistory: { cpu: [], memory: [], timestamps: [] },
+  };
+}
+
+// Public description for GET /api/connections and the environment switcher
+function describeConnection(connection) {
+  return {
+    name: connection.name,
+    label: connection.label,
+    color: connection.color,
+    default: connection.isDefault,
+    connected: connection.redisClient.isReady,
+  };
+}
+
+module.exports = {
+  createConnection,
+  describeConnection,
+  loadConnectionConfig,
+};
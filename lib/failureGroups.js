@@ -0,0 +1,202 @@
+// Groups a queue's failed jobs by error signature: the failedReason and the top
+// frame of the latest stack trace, with IDs, timestamps and numbers replaced by
+// placeholders so "Order 123 not found" and "Order 456 not found" land in the
+// same group. Failed jobs are read newest first in pipelined batches and at
+// most `limit` of them are grouped.
+
+const crypto = require("crypto");
+const { queueKey } = require("./jobCounts");
+const { invalid } = require("./jobOptions");
+const { groupBySlot, runCommands } = require("./redisFactory");
+
+const BATCH_SIZE = 500;
+const DEFAULT_LIMIT = 10000;
+const MAX_LIMIT = 100000;
+const MAX_REASON_LENGTH = 300;
+
+const JOB_FIELDS = [
+  "name",
+  "failedReason",
+  "stacktrace",
+  "timestamp",
+  "finishedOn",
+];
+
+// Most specific patterns first, so a UUID is not eaten digit by digit
+const VOLATILE_PATTERNS = [
+  [
+    /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    "<uuid>",
+  ],
+  [
+    /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?\b/g,
+    "<time>",
+  ],
+  [/\b[0-9a-f]{24}\b/gi, "<id>"], // Mongo ObjectIds
+  [/\b(?=[0-9a-f]*\d)[0-9a-f]{12,}\b/gi, "<hex>"],
+  [/\d+(\.\d+)?/g, "<n>"],
+];
+
+function normalizeText(text) {
+  return VOLATILE_PATTERNS.reduce(
+    (result, [pattern, placeholder]) => result.replace(pattern, placeholder),
+    String(text || "")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// failedReason with IDs, timestamps and numbers stripped
+function normalizeReason(failedReason) {
+  const reason = normalizeText(failedReason) || "(no failure reason)";
+  return reason.length > MAX_REASON_LENGTH
+    ? `${reason.slice(0, MAX_REASON_LENGTH)}...`
+    : reason;
+}
+
+// First "at ..." line of the latest attempt's stack trace, without line and
+// column numbers. stacktrace is the JSON array of traces stored on the job.
+function topStackFrame(stacktrace) {
+  let traces;
+  try {
+    traces = JSON.parse(stacktrace || "[]");
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(traces) || traces.length === 0) return null;
+
+  const frame = String(traces[traces.length - 1])
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => line.startsWith("at "));
+  return frame ? normalizeText(frame.replace(/:\d+(:\d+)?(\)?)$/, "$2")) : null;
+}
+
+function getSignature(reason, frame) {
+  return crypto
+    .createHash("sha1")
+    .update(`${reason}\n${frame || ""}`)
+    .digest("hex")
+    .slice(0, 12);
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === "") return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw invalid(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+// Call onJob(id, fields, { reason, frame, signature }) for up to `limit`
+// failed jobs, newest first. Resolves to the size of the failed set.
+async function forEachFailedJob(redisClient, queue, limit, onJob) {
+  const failedKey = queueKey(queue, "failed");
+  const total = await redisClient.zCard(failedKey);
+  const [{ pipelined }] = groupBySlot(redisClient, [queue]);
+
+  for (let start = 0; start < Math.min(total, limit); start += BATCH_SIZE) {
+    const stop = Math.min(start + BATCH_SIZE, limit) - 1;
+    const jobIds = await redisClient.zRange(failedKey, start, stop, {
+      REV: true,
+    });
+    if (jobIds.length === 0) break;
+
+    const replies = await runCommands(
+      redisClient,
+      jobIds.map(
+        (jobId) => (client) => client.hmGet(queueKey(queue, jobId), JOB_FIELDS)
+      ),
+      pipelined
+    );
+
+    replies.forEach((reply, index) => {
+      const fields = {};
+      JOB_FIELDS.forEach((field, fieldIndex) => {
+        fields[field] = reply[fieldIndex];
+      });
+      // Removed between the ZRANGE and the HMGET
+      if (!fields.timestamp) return;
+
+      const reason = normalizeReason(fields.failedReason);
+      const frame = topStackFrame(fields.stacktrace);
+      onJob(jobIds[index], fields, {
+        reason,
+        frame,
+        signature: getSignature(reason, frame),
+      });
+    });
+  }
+
+  return total;
+}
+
+// { total, grouped, truncated, groups } with groups ordered by count, largest
+// first. Each group has its signature, normalized reason, top frame, count,
+// firstSeen/lastSeen (finishedOn) and the most recent job as a sample.
+async function groupFailedJobs(redisClient, queue, { limit = DEFAULT_LIMIT }) {
+  const groups = new Map();
+  let grouped = 0;
+
+  const total = await forEachFailedJob(
+    redisClient,
+    queue,
+    limit,
+    (jobId, fields, { reason, frame, signature }) => {
+      grouped++;
+      const seenAt = Number(fields.finishedOn) || Number(fields.timestamp);
+      const group = groups.get(signature);
+      if (!group) {
+        groups.set(signature, {
+          signature,
+          reason,
+          frame,
+          count: 1,
+          firstSeen: seenAt,
+          lastSeen: seenAt,
+          sample: {
+            id: jobId,
+            name: fields.name,
+            failedReason: fields.failedReason,
+          },
+        });
+        return;
+      }
+      group.count++;
+      group.firstSeen = Math.min(group.firstSeen, seenAt);
+      group.lastSeen = Math.max(group.lastSeen, seenAt);
+    }
+  );
+
+  return {
+    total,
+    grouped,
+    truncated: grouped < total,
+    groups: Array.from(groups.values()).sort((a, b) => b.count - a.count),
+  };
+}
+
+// IDs of the failed jobs (within the same `limit`) that belong to a group
+async function getGroupJobIds(
+  redisClient,
+  queue,
+  signature,
+  { limit = DEFAULT_LIMIT }
+) {
+  const jobIds = [];
+  await forEachFailedJob(redisClient, queue, limit, (jobId, fields, match) => {
+    if (match.signature === signature) {
+      jobIds.push(jobId);
+    }
+  });
+  return jobIds;
+}
+
+module.exports = {
+  getGroupJobIds,
+  groupFailedJobs,
+  normalizeReason,
+  parseLimit,
+  topStackFrame,
+};
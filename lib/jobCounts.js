@@ -0,0 +1,104 @@
+// Cheap job counts straight from the libraries' Redis structures.
+// wait/paused/active are lists (LLEN), the other job types are sorted sets
+// (ZCARD), so counting never loads a job hash. Which types make up each
+// state depends on the queue's library (BullMQ adds the prioritized set).
+
+const { LIST_TYPES, getAdapter } = require("./queueAdapters");
+const { groupBySlot, runCommands } = require("./redisFactory");
+
+const STATES = ["waiting", "active", "completed", "failed", "delayed"];
+// meta-paused, meta paused field and repeat, after the job type counts
+const EXTRA_COMMANDS = 3;
+
+// Redis key of one of a queue's structures: "<prefix>:<queue>:<suffix>"
+function queueKey(queue, suffix) {
+  return `${queue.prefix}:${queue.name}:${suffix}`;
+}
+
+async function fetchGroupCounts(redisClient, { queues, pipelined }, counts) {
+  const commands = [];
+  // State of every counted job type, per queue, in command order
+  const countedStates = queues.map((queue) => {
+    const { jobTypes } = getAdapter(queue.library);
+    const states = [];
+    STATES.forEach((state) => {
+      jobTypes[state].forEach((type) => {
+        const key = queueKey(queue, type);
+        commands.push(
+          LIST_TYPES.includes(type)
+            ? (client) => client.lLen(key)
+            : (client) => client.zCard(key)
+        );
+        states.push(state);
+      });
+    });
+    commands.push(
+      (client) => client.exists(queueKey(queue, "meta-paused")),
+      // Same check Bull's isPaused() does for BullMQ compatibility
+      (client) => client.hExists(queueKey(queue, "meta"), "paused"),
+      // Repeatable job schedules, same as getRepeatableCount()
+      (client) => client.zCard(queueKey(queue, "repeat"))
+    );
+    return states;
+  });
+
+  const replies = await runCommands(redisClient, commands, pipelined);
+
+  let offset = 0;
+  queues.forEach((queue, index) => {
+    const states = countedStates[index];
+    const values = replies
+      .slice(offset, offset + states.length + EXTRA_COMMANDS)
+      .map((reply) => Number(reply) || 0);
+    offset += states.length + EXTRA_COMMANDS;
+
+    // Bull's getWaitingCount() counts both wait and paused lists
+    const queueCounts = {
+      waiting: 0,
+      active: 0,
+      completed: 0,
+      failed: 0,
+      delayed: 0,
+    };
+    states.forEach((state, typeIndex) => {
+      queueCounts[state] += values[typeIndex];
+    });
+    const [metaPaused, metaHashPaused, repeatable] = values.slice(
+      states.length
+    );
+
+    counts.set(queue.name, {
+      ...queueCounts,
+      paused: Boolean(metaPaused || metaHashPaused),
+      repeatable,
+    });
+  });
+}
+
+// Fetch counts for many queues ([{ name, prefix, library }]) in a single
+// pipeline (one per hash slot on a cluster).
+// Returns a Map of queue name -> { waiting, active, completed, failed, delayed, paused, repeatable }
+async function fetchJobCounts(redisClient, queues) {
+  const counts = new Map();
+  if (queues.length === 0) {
+    return counts;
+  }
+
+  await Promise.all(
+    groupBySlot(redisClient, queues).map((group) =>
+      fetchGroupCounts(redisClient, group, counts)
+    )
+  );
+
+  // Same order as the queues passed in
+  return new Map(
+    queues
+      .filter((queue) => counts.has(queue.name))
+      .map((queue) => [queue.name, counts.get(queue.name)])
+  );
+}
+
+module.exports = {
+  fetchJobCounts,
+  queueKey,
+};
@@ -0,0 +1,107 @@
+// Relay job events (completed, failed, progress, stalled) to socket.io
+// clients, one room per queue. Listeners are attached when the first client
+// subscribes to a queue and detached when its room empties. Events are batched
+// per queue so a busy queue sends a few messages per second instead of one per job.
+
+const FLUSH_INTERVAL_MS = 250;
+const MAX_EVENTS_PER_FLUSH = 500; // Extra events are only counted as dropped
+
+// listen(queueName, onEvent(type, jobId, value)) starts listening to a queue
+// through its library adapter and returns a function that stops again.
+// roomPrefix keeps the rooms of relays for different Redis connections apart
+function createJobEventRelay(io, listen, options = {}) {
+  const flushInterval = options.flushInterval || FLUSH_INTERVAL_MS;
+  const roomPrefix = options.roomPrefix || "queue:";
+
+  function queueRoom(queueName) {
+    return `${roomPrefix}${queueName}`;
+  }
+
+  // queue name -> { stop, events, dropped, timer }
+  const watched = new Map();
+
+  function flush(queueName) {
+    const entry = watched.get(queueName);
+    if (!entry) return;
+
+    entry.timer = null;
+    if (entry.events.length === 0) return;
+
+    io.to(queueRoom(queueName)).emit("jobEvents", {
+      queueName,
+      events: entry.events,
+      dropped: entry.dropped,
+    });
+    entry.events = [];
+    entry.dropped = 0;
+  }
+
+  function record(queueName, type, jobId, value) {
+    const entry = watched.get(queueName);
+    if (!entry) return;
+
+    if (entry.events.length < MAX_EVENTS_PER_FLUSH) {
+      entry.events.push({
+        type,
+        jobId: String(jobId),
+        value: value === undefined ? null : value,
+        timestamp: Date.now(),
+      });
+    } else {
+      entry.dropped++;
+    }
+
+    if (!entry.timer) {
+      entry.timer = setTimeout(() => flush(queueName), flushInterval);
+    }
+  }
+
+  function watch(queueName) {
+    if (watched.has(queueName)) return;
+
+    const entry = { stop: null, events: [], dropped: 0, timer: null };
+    watched.set(queueName, entry);
+    entry.stop = listen(queueName, (type, jobId, value) =>
+      record(queueName, type, jobId, value)
+    );
+    console.log(`Relaying job events for queue ${queueName}`);
+  }
+
+  function unwatch(queueName) {
+    const entry = watched.get(queueName);
+    if (!entry) return;
+
+    entry.stop();
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    watched.delete(queueName);
+    console.log(`Stopped relaying job events for queue ${queueName}`);
+  }
+
+  function subscribe(socket, queueName) {
+    socket.join(queueRoom(queueName));
+    watch(queueName);
+  }
+
+  function unsubscribe(socket, queueName) {
+    socket.leave(queueRoom(queueName));
+  }
+
+  // Rooms are deleted once their last socket leaves or disconnects
+  io.of("/").adapter.on("delete-room", (room) => {
+    if (room.startsWith(roomPrefix)) {
+      unwatch(room.slice(roomPrefix.length));
+    }
+  });
+
+  return {
+    subscribe,
+    unsubscribe,
+    getWatchedQueues: () => Array.from(watched.keys()),
+  };
+}
+
+module.exports = {
+  createJobEventRelay,
+};
@@ -0,0 +1,152 @@
+// Validation for job options accepted from the dashboard when adding jobs.
+// Only a safe subset of Bull's JobOpts is passed through to queue.add().
+// Imported jobs get a wider whitelist, matching what an export writes.
+
+const BACKOFF_TYPES = ["fixed", "exponential"];
+const MAX_PRIORITY = 2097152; // Bull's lowest priority
+
+// 400 error for a bad request parameter; routes answer error.status with
+// error.message
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Numbers or digit strings only; Number() would also take true, [] or " 1 "
+function parseNonNegativeInteger(value, field) {
+  const number =
+    typeof value === "number" ||
+    (typeof value === "string" && /^\d+$/.test(value))
+      ? Number(value)
+      : NaN;
+  if (!Number.isInteger(number) || number < 0) {
+    throw invalid(`${field} must be a non-negative integer`);
+  }
+  return number;
+}
+
+function parseBackoff(backoff) {
+  if (typeof backoff === "number" || typeof backoff === "string") {
+    return parseNonNegativeInteger(backoff, "backoff");
+  }
+
+  if (!backoff || typeof backoff !== "object") {
+    throw invalid("backoff must be a delay in ms or { type, delay }");
+  }
+  if (!BACKOFF_TYPES.includes(backoff.type)) {
+    throw invalid(`backoff.type must be one of: ${BACKOFF_TYPES.join(", ")}`);
+  }
+
+  return {
+    type: backoff.type,
+    delay: parseNonNegativeInteger(backoff.delay || 0, "backoff.delay"),
+  };
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+// removeOnComplete / removeOnFail: true, false, a number of jobs to keep or
+// { count, age } as both libraries accept
+function parseKeepJobs(value, field) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return parseNonNegativeInteger(value, field);
+  }
+
+  const keep = {};
+  if (isSet(value.count)) {
+    keep.count = parseNonNegativeInteger(value.count, `${field}.count`);
+  }
+  if (isSet(value.age)) {
+    keep.age = parseNonNegativeInteger(value.age, `${field}.age`);
+  }
+  return keep;
+}
+
+// Returns a clean opts object, throwing a 400 error for invalid values.
+// Empty values ("" / null / undefined) are left out so Bull defaults apply.
+function parseJobOptions(opts) {
+  if (opts === undefined || opts === null) {
+    return {};
+  }
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    throw invalid("opts must be an object");
+  }
+
+  const parsed = {};
+
+  if (isSet(opts.delay)) {
+    parsed.delay = parseNonNegativeInteger(opts.delay, "delay");
+  }
+  if (isSet(opts.priority)) {
+    parsed.priority = parseNonNegativeInteger(opts.priority, "priority");
+    if (parsed.priority < 1 || parsed.priority > MAX_PRIORITY) {
+      throw invalid(`priority must be between 1 and ${MAX_PRIORITY}`);
+    }
+  }
+  if (isSet(opts.attempts)) {
+    parsed.attempts = parseNonNegativeInteger(opts.attempts, "attempts");
+    if (parsed.attempts < 1) {
+      throw invalid("attempts must be at least 1");
+    }
+  }
+  if (isSet(opts.backoff)) {
+    parsed.backoff = parseBackoff(opts.backoff);
+  }
+  if (isSet(opts.jobId)) {
+    parsed.jobId = String(opts.jobId);
+  }
+  if (isSet(opts.removeOnComplete)) {
+    parsed.removeOnComplete = parseKeepJobs(
+      opts.removeOnComplete,
+      "removeOnComplete"
+    );
+  }
+
+  return parsed;
+}
+
+// Options of an exported job, for re-adding it on import. On top of the
+// dashboard's options this keeps removeOnFail, lifo and timeout. repeat is
+// dropped: a job exported from a schedule comes back as a single job rather
+// than registering the schedule a second time.
+// BullMQ stores attempts and priority as 0 when unset, so 0 means unset here.
+function parseTransferOptions(opts) {
+  if (opts === undefined || opts === null) {
+    return {};
+  }
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    throw invalid("opts must be an object");
+  }
+
+  const parsed = parseJobOptions({
+    ...opts,
+    attempts: opts.attempts === 0 ? undefined : opts.attempts,
+    priority: opts.priority === 0 ? undefined : opts.priority,
+  });
+
+  if (isSet(opts.removeOnFail)) {
+    parsed.removeOnFail = parseKeepJobs(opts.removeOnFail, "removeOnFail");
+  }
+  if (isSet(opts.lifo)) {
+    if (typeof opts.lifo !== "boolean") {
+      throw invalid("lifo must be true or false");
+    }
+    parsed.lifo = opts.lifo;
+  }
+  if (isSet(opts.timeout)) {
+    parsed.timeout = parseNonNegativeInteger(opts.timeout, "timeout");
+  }
+  return parsed;
+}
+
+module.exports = {
+  invalid,
+  parseJobOptions,
+  parseTransferOptions,
+};
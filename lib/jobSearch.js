@@ -0,0 +1,290 @@
+// Job search for one queue. An ID is looked up directly; every other search
+// walks the queue's keys with SCAN and reads the job hashes batch by batch, so
+// a search never loads the whole queue at once. Scans stop after maxScanned
+// job hashes, timeLimit ms or maxResults matches, whichever comes first, and
+// report which limit was hit so the caller knows the results are partial.
+
+const { invalid } = require("./jobOptions");
+const { scanIterator } = require("./redisFactory");
+
+const SEARCH_FIELDS = ["id", "name", "data", "failedReason"];
+const SCAN_COUNT = 500;
+const DEFAULT_MAX_SCANNED = 10000;
+const MAX_MAX_SCANNED = 200000;
+const DEFAULT_TIME_LIMIT = 10000;
+const MAX_TIME_LIMIT = 60000;
+const DEFAULT_MAX_RESULTS = 100;
+const MAX_MAX_RESULTS = 1000;
+const MAX_TEXT_LENGTH = 500;
+
+// Queue keys (both libraries) that are not job hashes
+const QUEUE_KEY_SUFFIXES = [
+  "wait",
+  "paused",
+  "active",
+  "completed",
+  "failed",
+  "delayed",
+  "prioritized",
+  "priority",
+  "waiting-children",
+  "id",
+  "meta",
+  "events",
+  "marker",
+  "pc",
+  "repeat",
+  "limiter",
+  "stalled",
+  "stalled-check",
+  "metrics",
+];
+
+function parseLimit(value, field, defaultValue, max) {
+  if (value === undefined || value === "") return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw invalid(`${field} must be between 1 and ${max}`);
+  }
+  return number;
+}
+
+// "data.srvc_req_id", "srvc_req_id" or "items.0.sku" -> path segments in data
+function parseDataPath(path) {
+  const segments = String(path || "")
+    .split(".")
+    .map((segment) => segment.trim());
+  if (segments[0] === "data") segments.shift();
+  if (segments.some((segment) => segment === "")) {
+    throw invalid(`Invalid data path ${path}`);
+  }
+  return segments;
+}
+
+// Query string -> { field, q, path, maxScanned, timeLimit, maxResults }
+function parseSearchQuery(query = {}) {
+  const field = query.field || "id";
+  if (!SEARCH_FIELDS.includes(field)) {
+    throw invalid(`field must be one of: ${SEARCH_FIELDS.join(", ")}`);
+  }
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (!q) {
+    throw invalid("q must not be empty");
+  }
+
+  return {
+    field,
+    q,
+    path: field === "data" && query.path ? parseDataPath(query.path) : [],
+    maxScanned: parseLimit(
+      query.maxScanned,
+      "maxScanned",
+      DEFAULT_MAX_SCANNED,
+      MAX_MAX_SCANNED
+    ),
+    timeLimit: parseLimit(
+      query.timeLimit,
+      "timeLimit",
+      DEFAULT_TIME_LIMIT,
+      MAX_TIME_LIMIT
+    ),
+    maxResults: parseLimit(
+      query.maxResults,
+      "maxResults",
+      DEFAULT_MAX_RESULTS,
+      MAX_MAX_RESULTS
+    ),
+  };
+}
+
+// Job ID behind a queue key, or null for queue structures, job logs and locks.
+// Bull repeat job IDs ("repeat:<hash>:<millis>") contain colons of their own.
+function jobIdFromKey(key, keyPrefix) {
+  const id = key.slice(keyPrefix.length);
+  if (QUEUE_KEY_SUFFIXES.includes(id)) return null;
+  if (id.includes(":") && !/^repeat:[^:]+:\d+$/.test(id)) return null;
+  return id;
+}
+
+function getPath(value, segments) {
+  return segments.reduce(
+    (current, segment) =>
+      current !== null && typeof current === "object"
+        ? current[segment]
+        : undefined,
+    value
+  );
+}
+
+function parseJSON(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// The matched value for a job hash, or undefined when it does not match.
+// Names and failure reasons match case-insensitive substrings; a data path
+// must equal the query, and data without a path matches anywhere in its JSON.
+function matchJob(fields, search) {
+  const needle = search.q.toLowerCase();
+  const contains = (text) =>
+    typeof text === "string" && text.toLowerCase().includes(needle);
+
+  if (search.field === "name") {
+    return contains(fields.name) ? fields.name : undefined;
+  }
+  if (search.field === "failedReason") {
+    return contains(fields.failedReason) ? fields.failedReason : undefined;
+  }
+  if (search.path.length === 0) {
+    return contains(fields.data) ? search.q : undefined;
+  }
+
+  const value = getPath(parseJSON(fields.data), search.path);
+  if (value === undefined || value === null || typeof value === "object") {
+    return undefined;
+  }
+  return String(value) === search.q ? value : undefined;
+}
+
+function truncate(value) {
+  return typeof value === "string" && value.length > MAX_TEXT_LENGTH
+    ? `${value.slice(0, MAX_TEXT_LENGTH)}...`
+    : value;
+}
+
+// Summary of a matching job; the job detail endpoint has the rest
+function serializeMatch(id, fields, matched) {
+  return {
+    id,
+    name: fields.name,
+    timestamp: Number(fields.timestamp) || null,
+    processedOn: Number(fields.processedOn) || null,
+    finishedOn: Number(fields.finishedOn) || null,
+    failedReason: truncate(fields.failedReason) || null,
+    matched: truncate(matched),
+  };
+}
+
+const HASH_FIELDS = [
+  "name",
+  "data",
+  "failedReason",
+  "timestamp",
+  "processedOn",
+  "finishedOn",
+];
+
+// Read the searched fields of several keys in one pipeline. Keys that are not
+// hashes come back as errors and are skipped, as are hashes without a
+// timestamp (BullMQ job scheduler hashes), which are not jobs.
+async function readJobHashes(redisClient, keys) {
+  const pipeline = redisClient.multi();
+  keys.forEach((key) => pipeline.hmGet(key, HASH_FIELDS));
+
+  let replies;
+  try {
+    replies = await pipeline.execAsPipeline();
+  } catch (error) {
+    if (!Array.isArray(error.replies)) throw error;
+    replies = error.replies;
+  }
+
+  return replies.map((reply) => {
+    if (!Array.isArray(reply) || !reply[3]) return null;
+    const fields = {};
+    HASH_FIELDS.forEach((field, index) => {
+      fields[field] = reply[index];
+    });
+    return fields;
+  });
+}
+
+// Yields { type: "match", job } for each match, { type: "progress", scanned,
+// matched } after each batch and a final { type: "done", scanned, matched,
+// elapsed, complete, stoppedBy } where stoppedBy is the limit that ended the
+// scan (maxScanned, timeLimit or maxResults), or null.
+async function* searchJobs(redisClient, queue, search) {
+  const startedAt = Date.now();
+  const keyPrefix = `${queue.prefix}:${queue.name}:`;
+  let scanned = 0;
+  let matched = 0;
+  let stoppedBy = null;
+
+  const done = () => ({
+    type: "done",
+    scanned,
+    matched,
+    elapsed: Date.now() - startedAt,
+    complete: stoppedBy === null,
+    stoppedBy,
+  });
+
+  if (search.field === "id") {
+    const [fields] = await readJobHashes(redisClient, [
+      `${keyPrefix}${search.q}`,
+    ]);
+    scanned = 1;
+    if (fields) {
+      matched = 1;
+      yield { type: "match", job: serializeMatch(search.q, fields, search.q) };
+    }
+    yield done();
+    return;
+  }
+
+  for await (const keys of scanIterator(redisClient, {
+    MATCH: `${keyPrefix}*`,
+    COUNT: SCAN_COUNT,
+  })) {
+    const jobKeys = keys
+      .map((key) => ({ key, id: jobIdFromKey(key, keyPrefix) }))
+      .filter(({ id }) => id !== null)
+      .slice(0, search.maxScanned - scanned);
+    const hashes =
+      jobKeys.length > 0
+        ? await readJobHashes(
+            redisClient,
+            jobKeys.map(({ key }) => key)
+          )
+        : [];
+
+    for (let index = 0; index < jobKeys.length; index++) {
+      const fields = hashes[index];
+      if (!fields) continue;
+      scanned++;
+
+      const value = matchJob(fields, search);
+      if (value === undefined) continue;
+      matched++;
+      yield {
+        type: "match",
+        job: serializeMatch(jobKeys[index].id, fields, value),
+      };
+      if (matched >= search.maxResults) {
+        stoppedBy = "maxResults";
+        break;
+      }
+    }
+
+    if (!stoppedBy && scanned >= search.maxScanned) {
+      stoppedBy = "maxScanned";
+    }
+    if (!stoppedBy && Date.now() - startedAt >= search.timeLimit) {
+      stoppedBy = "timeLimit";
+    }
+    if (stoppedBy) break;
+    yield { type: "progress", scanned, matched };
+  }
+
+  yield done();
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  jobIdFromKey,
+  parseSearchQuery,
+  searchJobs,
+};
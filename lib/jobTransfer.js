@@ -0,0 +1,187 @@
+// Export of a queue's jobs to NDJSON or CSV and import of NDJSON back into a
+// queue. Exports page through the queue in batches and are written to the
+// response as they are read, waiting for the client to drain, so a large
+// failed set never sits in memory. Imports read the request body line by line
+// and report an error per line instead of stopping at the first bad one. The
+// errors and new job IDs in an import result are capped, and reading stops
+// once the body passes maxBytes.
+
+const readline = require("readline");
+const { invalid, parseTransferOptions } = require("./jobOptions");
+
+const EXPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_ERRORS = 1000;
+const MAX_IMPORT_JOB_IDS = 1000;
+
+// The jobs endpoint fields plus attemptsMade and stacktrace, in CSV column order
+const EXPORT_FIELDS = [
+  "id",
+  "name",
+  "data",
+  "opts",
+  "progress",
+  "timestamp",
+  "processedOn",
+  "finishedOn",
+  "failedReason",
+  "attemptsMade",
+  "stacktrace",
+];
+
+const EXPORT_FORMATS = {
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8" },
+  csv: { contentType: "text/csv; charset=utf-8" },
+};
+
+// RFC 4180 field: objects as JSON, quoted when it holds a comma, quote or newline
+function csvField(value) {
+  if (value === undefined || value === null) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvHeader() {
+  return `${EXPORT_FIELDS.join(",")}\r\n`;
+}
+
+function formatRecord(record, format) {
+  if (format === "csv") {
+    return `${EXPORT_FIELDS.map((field) => csvField(record[field])).join(
+      ","
+    )}\r\n`;
+  }
+  return `${JSON.stringify(record)}\n`;
+}
+
+// Batches of jobs of the given list/set types, one type after the other.
+// Each type is paged on its own since the ranges of getJobs apply per type.
+async function* iterateJobs(queue, types, batchSize = EXPORT_BATCH_SIZE) {
+  for (const type of types) {
+    for (let start = 0; ; start += batchSize) {
+      const jobs = await queue.getJobs(
+        [type],
+        start,
+        start + batchSize - 1,
+        true
+      );
+      const found = jobs.filter(Boolean);
+      if (found.length > 0) {
+        yield found;
+      }
+      if (jobs.length < batchSize) break;
+    }
+  }
+}
+
+// Write to a response, waiting for "drain" when its buffer is full. Resolves
+// early if the client goes away.
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    res.once("drain", resolve);
+    res.once("close", resolve);
+  });
+}
+
+// One NDJSON line -> { name, data, opts }. Exported lines are accepted as is;
+// their opts go through the transfer whitelist and their jobId is only kept
+// when keepJobIds is set. A delay counts from the exported job's timestamp, so
+// a delayed job keeps its original due time (or runs now if that has passed).
+function parseImportLine(line, { keepJobIds, now = Date.now() }) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    throw invalid(`Invalid JSON: ${error.message}`);
+  }
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    throw invalid("Line must be a JSON object");
+  }
+  if (record.name !== undefined && typeof record.name !== "string") {
+    throw invalid("name must be a string");
+  }
+  const data = record.data === undefined ? {} : record.data;
+  if (data === null || typeof data !== "object") {
+    throw invalid("data must be a JSON object or array");
+  }
+
+  const opts = parseTransferOptions(record.opts);
+  if (!keepJobIds) {
+    delete opts.jobId;
+  }
+  if (opts.delay && Number.isFinite(record.timestamp)) {
+    opts.delay = Math.max(0, record.timestamp + opts.delay - now);
+  }
+  return { name: record.name, data, opts };
+}
+
+// Re-add every NDJSON line of a stream with addJob({ name, data, opts }).
+// overrides (already validated job options) win over the options on each
+// line. Jobs are added one at a time, in file order. Once more than maxBytes
+// have been read the import stops with tooLarge set; the jobs added before
+// that stay in the queue.
+async function importJobs(
+  input,
+  addJob,
+  { overrides = {}, keepJobIds, maxBytes = Infinity }
+) {
+  const result = {
+    total: 0,
+    imported: 0,
+    failed: 0,
+    errors: [],
+    jobIds: [],
+    tooLarge: false,
+  };
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let bytes = 0;
+  input.on("data", (chunk) => {
+    bytes += chunk.length;
+    if (bytes > maxBytes && !result.tooLarge) {
+      result.tooLarge = true;
+      lines.close();
+      input.pause();
+    }
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    if (result.tooLarge) break;
+    lineNumber++;
+    if (!line.trim()) continue;
+    result.total++;
+
+    try {
+      const job = parseImportLine(line, { keepJobIds });
+      const added = await addJob({
+        ...job,
+        opts: { ...job.opts, ...overrides },
+      });
+      result.imported++;
+      if (result.jobIds.length < MAX_IMPORT_JOB_IDS) {
+        result.jobIds.push(String(added.id));
+      }
+    } catch (error) {
+      result.failed++;
+      if (result.errors.length < MAX_IMPORT_ERRORS) {
+        result.errors.push({ line: lineNumber, error: error.message });
+      }
+    }
+  }
+
+  result.errorsTruncated = result.failed > result.errors.length;
+  result.jobIdsTruncated = result.imported > result.jobIds.length;
+  return result;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvHeader,
+  formatRecord,
+  importJobs,
+  iterateJobs,
+  parseImportLine,
+  write,
+};
@@ -0,0 +1,227 @@
+// Local time-series store for dashboard metrics (Redis CPU/memory, queue counts).
+// Every sample is rolled up into minute, hour and day buckets, each resolution
+// keeps its own retention, and the store is saved to a JSON file so the
+// history survives restarts.
+
+const fs = require("fs");
+const path = require("path");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Finest first; queries pick the finest resolution that covers the range
+const RESOLUTIONS = {
+  minute: { step: MINUTE, retention: DAY },
+  hour: { step: HOUR, retention: 30 * DAY },
+  day: { step: DAY, retention: 365 * DAY },
+};
+
+const MAX_POINTS_PER_SERIES = 1500;
+const FILE_VERSION = 1;
+
+function bucketStart(timestamp, step) {
+  return Math.floor(timestamp / step) * step;
+}
+
+// Closed buckets are stored compactly as [t, avg, min, max]
+function toPoint([t, avg, min, max]) {
+  return { t, avg, min, max };
+}
+
+function closeBucket(open) {
+  return [open.t, open.sum / open.count, open.min, open.max];
+}
+
+function createMetricsStore(options = {}) {
+  const file =
+    options.file ||
+    process.env.METRICS_HISTORY_FILE ||
+    path.join(process.cwd(), "data", "metrics-history.json");
+
+  // series name -> { [resolution]: { buckets: [[t, avg, min, max]], open } }
+  let series = new Map();
+  let saving = null;
+  let dirty = false;
+
+  function emptySeries() {
+    const entry = {};
+    Object.keys(RESOLUTIONS).forEach((resolution) => {
+      entry[resolution] = { buckets: [], open: null };
+    });
+    return entry;
+  }
+
+  function prune(level, retention, now) {
+    const oldest = now - retention;
+    let drop = 0;
+    while (drop < level.buckets.length && level.buckets[drop][0] < oldest) {
+      drop++;
+    }
+    if (drop > 0) {
+      level.buckets.splice(0, drop);
+    }
+  }
+
+  // Record one sample for a series (timestamp in ms, defaults to now)
+  function record(name, value, timestamp = Date.now()) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return;
+
+    if (!series.has(name)) {
+      series.set(name, emptySeries());
+    }
+    const entry = series.get(name);
+
+    Object.entries(RESOLUTIONS).forEach(([resolution, { step, retention }]) => {
+      const level = entry[resolution];
+      const t = bucketStart(timestamp, step);
+
+      if (level.open && level.open.t !== t) {
+        level.buckets.push(closeBucket(level.open));
+        level.open = null;
+        prune(level, retention, timestamp);
+      }
+      if (!level.open) {
+        level.open = { t, sum: 0, count: 0, min: value, max: value };
+      }
+
+      level.open.sum += value;
+      level.open.count++;
+      level.open.min = Math.min(level.open.min, value);
+      level.open.max = Math.max(level.open.max, value);
+    });
+    dirty = true;
+  }
+
+  // Finest resolution that still holds data for `from` without too many points
+  function pickResolution(from, to, now) {
+    const names = Object.keys(RESOLUTIONS);
+    return (
+      names.find((resolution) => {
+        const { step, retention } = RESOLUTIONS[resolution];
+        return (
+          from >= now - retention && (to - from) / step <= MAX_POINTS_PER_SERIES
+        );
+      }) || names[names.length - 1]
+    );
+  }
+
+  // Points for the matching series between from and to (ms), open bucket included
+  function query({ from, to, match, resolution }) {
+    const now = Date.now();
+    const chosen = resolution || pickResolution(from, to, now);
+    const result = {};
+
+    series.forEach((entry, name) => {
+      if (!match(name)) return;
+
+      const level = entry[chosen];
+      const buckets = level.open
+        ? [...level.buckets, closeBucket(level.open)]
+        : level.buckets;
+      result[name] = buckets
+        .filter(([t]) => t + RESOLUTIONS[chosen].step > from && t <= to)
+        .map(toPoint);
+    });
+
+    return {
+      resolution: chosen,
+      step: RESOLUTIONS[chosen].step,
+      series: result,
+    };
+  }
+
+  function getSeriesNames() {
+    return Array.from(series.keys()).sort();
+  }
+
+  function load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (saved.version !== FILE_VERSION) {
+        console.warn(`Ignoring metrics history with version ${saved.version}`);
+        return;
+      }
+
+      series = new Map(Object.entries(saved.series || {}));
+      pruneAll(Date.now());
+      console.log(`Loaded metrics history for ${series.size} series`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          `Could not load metrics history from ${file}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Apply retention to every series, including ones no longer being recorded,
+  // and drop series left without data (e.g. queues that were removed)
+  function pruneAll(now) {
+    series.forEach((entry, name) => {
+      let hasData = false;
+      Object.entries(RESOLUTIONS).forEach(([resolution, { retention }]) => {
+        const level = (entry[resolution] = entry[resolution] || {
+          buckets: [],
+          open: null,
+        });
+        if (level.open && level.open.t < now - retention) {
+          level.open = null;
+        }
+        prune(level, retention, now);
+        hasData = hasData || Boolean(level.open) || level.buckets.length > 0;
+      });
+      if (!hasData) {
+        series.delete(name);
+      }
+    });
+  }
+
+  // Write to a temp file and rename, so a crash never leaves half a file
+  function save() {
+    if (saving || !dirty) {
+      return saving || Promise.resolve();
+    }
+
+    dirty = false;
+    pruneAll(Date.now());
+    const tempFile = `${file}.tmp`;
+    const contents = JSON.stringify({
+      version: FILE_VERSION,
+      savedAt: new Date().toISOString(),
+      series: Object.fromEntries(series),
+    });
+
+    saving = fs.promises
+      .mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.writeFile(tempFile, contents))
+      .then(() => fs.promises.rename(tempFile, file))
+      .catch((error) => {
+        dirty = true;
+        console.error(
+          `Could not save metrics history to ${file}:`,
+          error.message
+        );
+      })
+      .finally(() => {
+        saving = null;
+      });
+
+    return saving;
+  }
+
+  return {
+    file,
+    record,
+    query,
+    getSeriesNames,
+    load,
+    save,
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  createMetricsStore,
+};
@@ -0,0 +1,237 @@
+// Prometheus text exposition of queue counts and Redis health. Scrapes are
+// answered from a cache refreshed at most once per cacheTtl, and concurrent
+// scrapes share one collection, so Prometheus (or several of them) never adds
+// more Redis load than the dashboard itself.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const DEFAULT_CACHE_TTL = 10000;
+
+const QUEUE_STATES = ["waiting", "active", "completed", "failed", "delayed"];
+
+// Label values escape backslash, double quote and newline
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(",")}}`;
+}
+
+function formatValue(value) {
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (!Number.isFinite(value)) return "NaN";
+  return String(value);
+}
+
+// Collects HELP/TYPE headers and samples, grouped by metric name
+function createMetricFamilies() {
+  const families = new Map();
+
+  function add(name, type, help, value, labels = {}) {
+    if (!families.has(name)) {
+      families.set(name, { type, help, samples: [] });
+    }
+    families
+      .get(name)
+      .samples.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  function render() {
+    const lines = [];
+    families.forEach(({ type, help, samples }, name) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      lines.push(...samples);
+    });
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { add, render };
+}
+
+// One connection's samples, each labelled with the connection name
+function addConnectionMetrics(
+  metrics,
+  { connection, queues, countsError, redisMetrics, redisConnected }
+) {
+  const connectionLabels = { connection };
+
+  metrics.add(
+    "bull_dashboard_redis_up",
+    "gauge",
+    "Whether the dashboard is connected to Redis",
+    Boolean(redisConnected),
+    connectionLabels
+  );
+  metrics.add(
+    "bull_dashboard_queue_counts_up",
+    "gauge",
+    "Whether the last queue count collection succeeded",
+    !countsError,
+    connectionLabels
+  );
+  metrics.add(
+    "bull_dashboard_queues",
+    "gauge",
+    "Number of queues known to the dashboard",
+    queues.length,
+    connectionLabels
+  );
+
+  // Counts are left out rather than reported as 0 when they could not be read
+  if (!countsError) {
+    queues.forEach((queue) => {
+      const labels = { connection, queue: queue.name, prefix: queue.prefix };
+      QUEUE_STATES.forEach((state) => {
+        metrics.add(
+          "bull_queue_jobs",
+          "gauge",
+          "Jobs in each state per queue",
+          queue[state] || 0,
+          { ...labels, state }
+        );
+      });
+      metrics.add(
+        "bull_queue_paused",
+        "gauge",
+        "Whether the queue is globally paused",
+        Boolean(queue.paused),
+        labels
+      );
+      metrics.add(
+        "bull_queue_repeatable_jobs",
+        "gauge",
+        "Repeatable job schedules per queue",
+        queue.repeatable || 0,
+        labels
+      );
+    });
+  }
+
+  if (redisMetrics) {
+    const redisGauges = [
+      [
+        "cpu_percent",
+        "gauge",
+        "Redis CPU usage since the previous sample",
+        redisMetrics.cpu.current,
+      ],
+      [
+        "memory_used_bytes",
+        "gauge",
+        "Memory used by Redis",
+        redisMetrics.memory.used,
+      ],
+      [
+        "memory_max_bytes",
+        "gauge",
+        "Redis maxmemory, or total system memory when maxmemory is not set",
+        redisMetrics.memory.max,
+      ],
+      [
+        "memory_usage_percent",
+        "gauge",
+        "Redis memory used as a percentage of the max",
+        redisMetrics.memory.usagePercent,
+      ],
+      [
+        "connected_clients",
+        "gauge",
+        "Clients connected to Redis",
+        redisMetrics.connectedClients,
+      ],
+      [
+        "keys",
+        "gauge",
+        "Keys in the selected Redis database",
+        redisMetrics.totalKeys,
+      ],
+      [
+        "keyspace_hits_total",
+        "counter",
+        "Successful key lookups reported by Redis",
+        redisMetrics.keyspaceHits,
+      ],
+      [
+        "keyspace_misses_total",
+        "counter",
+        "Failed key lookups reported by Redis",
+        redisMetrics.keyspaceMisses,
+      ],
+    ];
+    redisGauges.forEach(([name, type, help, value]) => {
+      metrics.add(
+        `bull_dashboard_redis_${name}`,
+        type,
+        help,
+        value,
+        connectionLabels
+      );
+    });
+  }
+}
+
+// collect() resolves to one { connection, queues, countsError, redisMetrics,
+// redisConnected } entry per Redis connection
+function createPrometheusExporter(collect, options = {}) {
+  const cacheTtl =
+    options.cacheTtl ||
+    parseInt(process.env.PROMETHEUS_CACHE_TTL || 0) ||
+    DEFAULT_CACHE_TTL;
+
+  let cached = null; // { body, collectedAt }
+  let collecting = null;
+
+  async function refresh() {
+    const startedAt = Date.now();
+    const metrics = createMetricFamilies();
+    (await collect()).forEach((connectionMetrics) =>
+      addConnectionMetrics(metrics, connectionMetrics)
+    );
+    metrics.add(
+      "bull_dashboard_scrape_collection_seconds",
+      "gauge",
+      "Time taken to collect the cached metrics",
+      (Date.now() - startedAt) / 1000
+    );
+    metrics.add(
+      "bull_dashboard_scrape_collected_timestamp_seconds",
+      "gauge",
+      "When the cached metrics were collected",
+      Math.floor(startedAt / 1000)
+    );
+    cached = { body: metrics.render(), collectedAt: startedAt };
+    return cached.body;
+  }
+
+  // Cached body while fresh, otherwise one shared collection
+  function render() {
+    if (cached && Date.now() - cached.collectedAt < cacheTtl) {
+      return Promise.resolve(cached.body);
+    }
+    if (!collecting) {
+      collecting = refresh().finally(() => {
+        collecting = null;
+      });
+    }
+    return collecting;
+  }
+
+  return {
+    contentType: CONTENT_TYPE,
+    cacheTtl,
+    render,
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createPrometheusExporter,
+};
@@ -0,0 +1,214 @@
+// Queue libraries behind one interface. Bull and BullMQ keep jobs in similar
+// Redis structures but differ in key layout (BullMQ adds an `events` stream,
+// a `prioritized` set, flows...), in their APIs and in their error messages.
+// Everything library specific the dashboard does - creating queue instances,
+// counting, listing job types, job actions, cleaning, repeatable schedules and
+// live events - goes through the adapter of the queue's library.
+
+const Bull = require("bull");
+const { Queue: BullMQQueue, QueueEvents } = require("bullmq");
+const { createBullMQOptions, createBullOptions } = require("./redisFactory");
+
+const DEFAULT_LIBRARY = "bull";
+
+// Key suffixes only BullMQ writes, used to tell the libraries apart on discovery
+const BULLMQ_KEY_SUFFIXES = [
+  "events",
+  "prioritized",
+  "marker",
+  "pc",
+  "waiting-children",
+];
+
+// Library a "<prefix>:<queue>:<suffix>" key points to, or null when the key
+// exists in both layouts
+function detectLibrary(suffix) {
+  return BULLMQ_KEY_SUFFIXES.includes(suffix) ? "bullmq" : null;
+}
+
+// Dashboard status -> Redis job types, as counted, listed and cleaned
+const BULL_JOB_TYPES = {
+  waiting: ["wait", "paused"],
+  active: ["active"],
+  completed: ["completed"],
+  failed: ["failed"],
+  delayed: ["delayed"],
+};
+
+const BULLMQ_JOB_TYPES = {
+  ...BULL_JOB_TYPES,
+  waiting: ["wait", "paused", "prioritized"],
+};
+
+// Types stored in lists; the others are sorted sets
+const LIST_TYPES = ["wait", "paused", "active"];
+
+// Bull global events -> event type sent to the browser
+const BULL_EVENTS = {
+  "global:completed": "completed",
+  "global:failed": "failed",
+  "global:progress": "progress",
+  "global:stalled": "stalled",
+};
+
+const bullAdapter = {
+  library: "bull",
+  jobTypes: BULL_JOB_TYPES,
+
+  createQueue(queueName, redisConfig, prefix) {
+    return new Bull(queueName, createBullOptions(redisConfig, prefix));
+  },
+
+  ready: (queue) => queue.isReady(),
+
+  getProgress: (job) => job.progress(),
+
+  addJob(queue, name, data, opts) {
+    return name ? queue.add(name, data, opts) : queue.add(data, opts);
+  },
+
+  // Bull's job.discard() only flags the in-memory job, so opts are rewritten
+  saveJobOpts(queue, jobId, opts) {
+    return queue.client.hset(queue.toKey(jobId), "opts", JSON.stringify(opts));
+  },
+
+  clean: (queue, grace, type, limit) => queue.clean(grace, type, limit),
+
+  getRepeatableJobs: (queue) => queue.getRepeatableJobs(0, -1, true),
+
+  removeRepeatable: (queue, key) => queue.removeRepeatableByKey(key),
+
+  // HTTP status for a job action error, or null when it is not a known one
+  errorStatus(error) {
+    if (error.message === Bull.ErrorMessages.RETRY_JOB_NOT_EXIST) return 404;
+    if (
+      error.message === Bull.ErrorMessages.RETRY_JOB_IS_LOCKED ||
+      error.message === Bull.ErrorMessages.RETRY_JOB_NOT_FAILED
+    ) {
+      return 409;
+    }
+    return null;
+  },
+
+  isLockedError: (error) => error.message.startsWith("Could not remove job"),
+
+  // Bull subscribes its event client to the queue's pub/sub channels on first
+  // use. Returns a function that stops listening.
+  listen(queue, onEvent) {
+    const listeners = {};
+    Object.entries(BULL_EVENTS).forEach(([eventName, type]) => {
+      listeners[eventName] = (jobId, value) => onEvent(type, jobId, value);
+      queue.on(eventName, listeners[eventName]);
+    });
+    return () => {
+      Object.entries(listeners).forEach(([eventName, listener]) => {
+        queue.removeListener(eventName, listener);
+      });
+    };
+  },
+};
+
+// BullMQ script error codes (ErrorCode in bullmq) -> HTTP status
+const BULLMQ_ERROR_STATUSES = {
+  [-1]: 404, // JobNotExist
+  [-2]: 409, // JobLockNotExist
+  [-3]: 409, // JobNotInState
+  [-6]: 409, // JobLockMismatch
+  [-8]: 409, // JobBelongsToJobScheduler
+};
+
+const bullmqAdapter = {
+  library: "bullmq",
+  jobTypes: BULLMQ_JOB_TYPES,
+
+  createQueue(queueName, redisConfig, prefix) {
+    return new BullMQQueue(queueName, createBullMQOptions(redisConfig, prefix));
+  },
+
+  ready: (queue) => queue.waitUntilReady(),
+
+  getProgress: (job) => job.progress,
+
+  // BullMQ requires a job name; Bull's default name keeps both alike
+  addJob: (queue, name, data, opts) =>
+    queue.add(name || "__default__", data, opts),
+
+  async saveJobOpts(queue, jobId, opts) {
+    const client = await queue.client;
+    return client.hset(queue.toKey(jobId), "opts", JSON.stringify(opts));
+  },
+
+  // BullMQ takes the limit before the type
+  clean: (queue, grace, type, limit) => queue.clean(grace, limit, type),
+
+  // Job schedulers and legacy repeatable jobs share the repeat set;
+  // `pattern` is what Bull calls `cron`
+  async getRepeatableJobs(queue) {
+    const schedulers = await queue.getJobSchedulers(0, -1, true);
+    return schedulers.map((scheduler) => ({
+      ...scheduler,
+      cron: scheduler.pattern,
+    }));
+  },
+
+  async removeRepeatable(queue, key) {
+    if (!(await queue.removeJobScheduler(key))) {
+      await queue.removeRepeatableByKey(key);
+    }
+  },
+
+  errorStatus: (error) => BULLMQ_ERROR_STATUSES[error.code] || null,
+
+  isLockedError: (error) =>
+    /locked by another worker|belongs to a job scheduler/.test(error.message),
+
+  // QueueEvents reads the queue's events stream on its own connection
+  listen(queue, onEvent) {
+    const queueEvents = new QueueEvents(queue.name, {
+      connection: queue.opts.connection,
+      prefix: queue.opts.prefix,
+    });
+    queueEvents.on("error", (error) => {
+      console.warn(`Job events error for ${queue.name}:`, error.message);
+    });
+    queueEvents.on("completed", ({ jobId, returnvalue }) =>
+      onEvent("completed", jobId, returnvalue)
+    );
+    queueEvents.on("failed", ({ jobId, failedReason }) =>
+      onEvent("failed", jobId, failedReason)
+    );
+    queueEvents.on("progress", ({ jobId, data }) =>
+      onEvent("progress", jobId, data)
+    );
+    queueEvents.on("stalled", ({ jobId }) => onEvent("stalled", jobId));
+    return () => {
+      queueEvents.close().catch(() => {});
+    };
+  },
+};
+
+const ADAPTERS = {
+  bull: bullAdapter,
+  bullmq: bullmqAdapter,
+};
+
+function getAdapter(library) {
+  return ADAPTERS[library] || ADAPTERS[DEFAULT_LIBRARY];
+}
+
+// HTTP status for a job action error from either library, or null
+function getJobErrorStatus(error) {
+  for (const adapter of Object.values(ADAPTERS)) {
+    const status = adapter.errorStatus(error);
+    if (status) return status;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_LIBRARY,
+  LIST_TYPES,
+  detectLibrary,
+  getAdapter,
+  getJobErrorStatus,
+};
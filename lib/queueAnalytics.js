@@ -0,0 +1,188 @@
+// Throughput and latency analytics for a Bull queue, computed from job
+// timestamps. completed/failed are sorted sets scored by finishedOn, so
+// per-minute counts are ZCOUNTs over minute (or, for long windows,
+// multi-minute) buckets. Wait and processing times come from the
+// timestamp/processedOn/finishedOn fields of the most recently finished jobs.
+// Jobs removed on completion (removeOnComplete/removeOnFail) are not counted.
+
+const { queueKey } = require("./jobCounts");
+const { groupBySlot, runCommands } = require("./redisFactory");
+
+const MINUTE = 60 * 1000;
+const DEFAULT_WINDOW_MINUTES = 60;
+const MAX_WINDOW_MINUTES = 24 * 60;
+const DEFAULT_SAMPLE_SIZE = 1000;
+const MAX_SAMPLE_SIZE = 5000;
+const MAX_THROUGHPUT_POINTS = 120; // Longer windows use multi-minute buckets
+
+// Nearest-rank percentile of an ascending sorted array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+function summarize(durations) {
+  const sorted = durations.slice().sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+  };
+}
+
+// Completed and failed counts per bucket between from and to
+async function fetchThroughput(
+  redisClient,
+  queue,
+  from,
+  to,
+  bucketSize,
+  pipelined
+) {
+  const buckets = [];
+  for (let t = from; t < to; t += bucketSize) {
+    buckets.push(t);
+  }
+
+  const commands = [];
+  buckets.forEach((t) => {
+    // "(" makes the upper bound exclusive so each job lands in one bucket
+    ["completed", "failed"].forEach((type) => {
+      commands.push((client) =>
+        client.zCount(queueKey(queue, type), t, `(${t + bucketSize}`)
+      );
+    });
+  });
+  const replies = await runCommands(redisClient, commands, pipelined);
+
+  return buckets.map((t, index) => ({
+    t,
+    completed: Number(replies[index * 2]) || 0,
+    failed: Number(replies[index * 2 + 1]) || 0,
+  }));
+}
+
+// Timestamps of the most recently finished jobs in the window, across both sets
+async function fetchFinishedJobTimes(
+  redisClient,
+  queue,
+  from,
+  to,
+  sampleSize,
+  pipelined
+) {
+  // Newest first: ZRANGE ... BYSCORE REV takes the max score first
+  const idCommands = ["completed", "failed"].map(
+    (type) => (client) =>
+      client.zRange(queueKey(queue, type), to, from, {
+        BY: "SCORE",
+        REV: true,
+        LIMIT: { offset: 0, count: sampleSize },
+      })
+  );
+  const [completedIds, failedIds] = await runCommands(
+    redisClient,
+    idCommands,
+    pipelined
+  );
+  const jobIds = [...(completedIds || []), ...(failedIds || [])];
+  if (jobIds.length === 0) {
+    return [];
+  }
+
+  const replies = await runCommands(
+    redisClient,
+    jobIds.map(
+      (jobId) => (client) =>
+        client.hmGet(queueKey(queue, jobId), [
+          "timestamp",
+          "processedOn",
+          "finishedOn",
+        ])
+    ),
+    pipelined
+  );
+
+  return replies
+    .map((fields) => (fields || []).map((value) => Number(value) || null))
+    .map(([timestamp, processedOn, finishedOn]) => ({
+      timestamp,
+      processedOn,
+      finishedOn,
+    }))
+    .sort((a, b) => (b.finishedOn || 0) - (a.finishedOn || 0))
+    .slice(0, sampleSize);
+}
+
+// Analytics for one queue ({ name, prefix }) over the last windowMinutes
+async function fetchQueueAnalytics(redisClient, queue, options = {}) {
+  const windowMinutes = Math.min(
+    options.windowMinutes || DEFAULT_WINDOW_MINUTES,
+    MAX_WINDOW_MINUTES
+  );
+  const sampleSize = Math.min(
+    options.sampleSize || DEFAULT_SAMPLE_SIZE,
+    MAX_SAMPLE_SIZE
+  );
+
+  const bucketMinutes = Math.ceil(windowMinutes / MAX_THROUGHPUT_POINTS);
+
+  // Whole buckets, ending with the current (partial) minute
+  const to = Math.floor(Date.now() / MINUTE) * MINUTE + MINUTE;
+  const from = to - windowMinutes * MINUTE;
+
+  const [{ pipelined }] = groupBySlot(redisClient, [queue]);
+  const [throughput, jobTimes] = await Promise.all([
+    fetchThroughput(
+      redisClient,
+      queue,
+      from,
+      to,
+      bucketMinutes * MINUTE,
+      pipelined
+    ),
+    fetchFinishedJobTimes(redisClient, queue, from, to, sampleSize, pipelined),
+  ]);
+
+  const completed = throughput.reduce((sum, point) => sum + point.completed, 0);
+  const failed = throughput.reduce((sum, point) => sum + point.failed, 0);
+
+  const waitTimes = [];
+  const processingTimes = [];
+  jobTimes.forEach(({ timestamp, processedOn, finishedOn }) => {
+    if (timestamp && processedOn) {
+      waitTimes.push(Math.max(0, processedOn - timestamp));
+    }
+    if (processedOn && finishedOn) {
+      processingTimes.push(Math.max(0, finishedOn - processedOn));
+    }
+  });
+
+  return {
+    queueName: queue.name,
+    windowMinutes,
+    from,
+    to,
+    totals: {
+      completed,
+      failed,
+      completedPerMinute: completed / windowMinutes,
+      failedPerMinute: failed / windowMinutes,
+    },
+    bucketMinutes,
+    throughput,
+    sampledJobs: jobTimes.length,
+    waitTime: summarize(waitTimes),
+    processingTime: summarize(processingTimes),
+  };
+}
+
+module.exports = {
+  DEFAULT_WINDOW_MINUTES,
+  MAX_WINDOW_MINUTES,
+  fetchQueueAnalytics,
+  percentile,
+};
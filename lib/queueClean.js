@@ -0,0 +1,156 @@
+// Clean old jobs out of a queue with the library's queue.clean(), plus a
+// read-only preview that applies the same matching rules. The preview reads
+// job hashes for every status but completed/failed, so it stops after
+// PREVIEW_MAX_SCANNED jobs or PREVIEW_TIME_LIMIT ms and says it is partial.
+
+const { queueKey } = require("./jobCounts");
+const { LIST_TYPES, getAdapter } = require("./queueAdapters");
+
+// Statuses that can be cleaned; each library maps them to its job types
+// (waiting jobs live in "paused" while paused, and BullMQ's in "prioritized" too)
+const CLEAN_STATUSES = {
+  completed: true,
+  failed: true,
+  delayed: true,
+  waiting: true,
+  active: true,
+};
+
+// Each clean call runs as one Lua script, so keep them short for production Redis
+const CLEAN_BATCH_SIZE = 1000;
+const PREVIEW_CHUNK_SIZE = 500;
+const PREVIEW_MAX_SCANNED = 100000;
+const PREVIEW_TIME_LIMIT = 10000;
+
+// Count the jobs of one job type that clean() would remove. scan is the
+// preview's shared { scanned, deadline, stoppedBy } budget.
+async function countCleanable(
+  redisClient,
+  queue,
+  type,
+  maxTimestamp,
+  limit,
+  scan
+) {
+  const key = queueKey(queue, type);
+
+  // completed/failed are scored by finishedOn, the same timestamp clean() checks first
+  if (type === "completed" || type === "failed") {
+    const count = await redisClient.zCount(key, 0, maxTimestamp - 1);
+    return limit > 0 ? Math.min(count, limit) : count;
+  }
+
+  const isList = LIST_TYPES.includes(type);
+  const length = isList
+    ? await redisClient.lLen(key)
+    : await redisClient.zCard(key);
+  let matched = 0;
+
+  for (let start = 0; start < length; start += PREVIEW_CHUNK_SIZE) {
+    if (scan.scanned >= PREVIEW_MAX_SCANNED) {
+      scan.stoppedBy = "maxScanned";
+      return matched;
+    }
+    if (Date.now() >= scan.deadline) {
+      scan.stoppedBy = "timeLimit";
+      return matched;
+    }
+
+    const end =
+      start +
+      Math.min(PREVIEW_CHUNK_SIZE, PREVIEW_MAX_SCANNED - scan.scanned) -
+      1;
+    const jobIds = isList
+      ? await redisClient.lRange(key, start, end)
+      : await redisClient.zRange(key, start, end);
+
+    const pipeline = redisClient.multi();
+    jobIds.forEach((jobId) => {
+      pipeline
+        .exists(queueKey(queue, `${jobId}:lock`))
+        .hmGet(queueKey(queue, jobId), [
+          "finishedOn",
+          "processedOn",
+          "timestamp",
+        ]);
+    });
+    const replies = await pipeline.execAsPipeline();
+    scan.scanned += jobIds.length;
+
+    for (let index = 0; index < jobIds.length; index++) {
+      const locked = Number(replies[index * 2]) > 0;
+      const timestamps = replies[index * 2 + 1] || [];
+      const jobTimestamp = timestamps.find((ts) => ts);
+
+      // Locked jobs are skipped, jobs without any timestamp are removed
+      if (!locked && (!jobTimestamp || Number(jobTimestamp) < maxTimestamp)) {
+        matched++;
+        if (limit > 0 && matched >= limit) {
+          return matched;
+        }
+      }
+    }
+  }
+
+  return matched;
+}
+
+// Dry run: how many jobs older than grace (ms) would be cleaned, up to limit (0 = no limit).
+// queue is { name, prefix, library }. Resolves to { matched, scanned, complete,
+// stoppedBy }, where stoppedBy is maxScanned or timeLimit when matched is only
+// a lower bound.
+async function previewClean(redisClient, queue, status, grace, limit = 0) {
+  const maxTimestamp = Date.now() - grace;
+  const scan = {
+    scanned: 0,
+    deadline: Date.now() + PREVIEW_TIME_LIMIT,
+    stoppedBy: null,
+  };
+  let matched = 0;
+
+  for (const type of getAdapter(queue.library).jobTypes[status]) {
+    const remaining = limit > 0 ? limit - matched : 0;
+    matched += await countCleanable(
+      redisClient,
+      queue,
+      type,
+      maxTimestamp,
+      remaining,
+      scan
+    );
+    if (scan.stoppedBy || (limit > 0 && matched >= limit)) break;
+  }
+
+  return {
+    matched,
+    scanned: scan.scanned,
+    complete: scan.stoppedBy === null,
+    stoppedBy: scan.stoppedBy,
+  };
+}
+
+// Clean in batches until nothing older than grace is left or limit (0 = no limit) is reached
+async function cleanQueue(queue, adapter, status, grace, limit = 0) {
+  let removed = 0;
+
+  for (const type of adapter.jobTypes[status]) {
+    while (limit <= 0 || removed < limit) {
+      const batchSize =
+        limit > 0
+          ? Math.min(CLEAN_BATCH_SIZE, limit - removed)
+          : CLEAN_BATCH_SIZE;
+      const jobs = await adapter.clean(queue, grace, type, batchSize);
+      removed += jobs.length;
+
+      if (jobs.length < batchSize) break;
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  CLEAN_STATUSES,
+  previewClean,
+  cleanQueue,
+};
@@ -0,0 +1,189 @@
+// Incremental SCAN based discovery of Bull and BullMQ queues across one or more
+// prefixes. KEYS blocks Redis for the whole keyspace walk, so everything here
+// walks the keyspace in small SCAN batches and caches the result between
+// refreshes. The library of each queue is told from the keys it has.
+
+const { DEFAULT_LIBRARY, detectLibrary } = require("./queueAdapters");
+const { parseList } = require("./queueRegistry");
+const { scanIterator } = require("./redisFactory");
+
+const DEFAULT_SCAN_COUNT = 1000;
+const DEFAULT_REFRESH_INTERVAL = 60000; // 1 minute
+
+// Queue prefixes from QUEUE_PREFIXES, "bull" when none are set
+function parsePrefixes(value) {
+  const prefixes = parseList(value);
+  return prefixes.length > 0 ? prefixes : ["bull"];
+}
+
+// Collect every key matching a pattern using SCAN instead of KEYS (on every
+// master of a cluster)
+async function scanKeys(redisClient, pattern, count = DEFAULT_SCAN_COUNT) {
+  const keys = [];
+  for await (const batch of scanIterator(redisClient, {
+    MATCH: pattern,
+    COUNT: count,
+  })) {
+    keys.push(...batch);
+  }
+  return keys;
+}
+
+// Split a "<prefix>:<queue>:<suffix>" key into queue name and suffix
+function parseQueueKey(key, prefix) {
+  const rest = key.slice(prefix.length + 1);
+  const separator = rest.indexOf(":");
+  return separator === -1
+    ? null
+    : {
+        queueName: rest.slice(0, separator),
+        suffix: rest.slice(separator + 1),
+      };
+}
+
+function createQueueDiscovery(redisClient, options = {}) {
+  const prefixes =
+    options.prefixes || parsePrefixes(process.env.QUEUE_PREFIXES);
+  const scanCount = options.scanCount || DEFAULT_SCAN_COUNT;
+  const refreshInterval =
+    options.refreshInterval ||
+    parseInt(process.env.DISCOVERY_REFRESH_INTERVAL || 0) ||
+    DEFAULT_REFRESH_INTERVAL;
+
+  // queue name -> prefix, and queue name -> library, from the last completed scan
+  let queues = new Map();
+  let libraries = new Map();
+  let lastRefreshed = null;
+  let refreshPromise = null;
+  let refreshTimer = null;
+
+  async function scanPrefix(prefix, found, foundLibraries) {
+    for await (const batch of scanIterator(redisClient, {
+      MATCH: `${prefix}:*`,
+      COUNT: scanCount,
+    })) {
+      batch.forEach((key) => {
+        const parsed = parseQueueKey(key, prefix);
+        if (!parsed) return;
+        const { queueName, suffix } = parsed;
+
+        if (!found.has(queueName)) {
+          found.set(queueName, prefix);
+        } else if (found.get(queueName) !== prefix) {
+          console.warn(
+            `Queue ${queueName} exists under prefixes ${found.get(
+              queueName
+            )} and ${prefix}, using ${found.get(queueName)}`
+          );
+        }
+
+        // Only keys under the prefix in use decide the library
+        const library = detectLibrary(suffix);
+        if (library && found.get(queueName) === prefix) {
+          foundLibraries.set(queueName, library);
+        }
+      });
+    }
+  }
+
+  // Rescan all prefixes. Concurrent callers share the same in-flight scan.
+  function refresh() {
+    if (refreshPromise) {
+      return refreshPromise;
+    }
+
+    refreshPromise = (async () => {
+      // isOpen stays true while the client is reconnecting, isReady does not
+      if (!redisClient.isReady) {
+        console.log("Redis not ready, skipping queue discovery");
+        return queues;
+      }
+
+      const startedAt = Date.now();
+      const found = new Map();
+      const foundLibraries = new Map();
+      for (const prefix of prefixes) {
+        await scanPrefix(prefix, found, foundLibraries);
+      }
+
+      queues = found;
+      libraries = foundLibraries;
+      lastRefreshed = new Date().toISOString();
+      console.log(
+        `Queue discovery found ${found.size} queues in ${
+          Date.now() - startedAt
+        }ms (prefixes: ${prefixes.join(", ")})`
+      );
+      return queues;
+    })()
+      .catch((error) => {
+        console.error("Error discovering queues:", error.message);
+        return queues;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+
+    return refreshPromise;
+  }
+
+  // Cached [{ name, prefix, library }] list; runs a first scan if nothing is cached yet
+  async function getQueues() {
+    if (!lastRefreshed) {
+      await refresh();
+    }
+    return Array.from(queues.entries()).map(([name, prefix]) => ({
+      name,
+      prefix,
+      library: getLibrary(name),
+    }));
+  }
+
+  // Whether the last completed scan found the queue
+  function hasQueue(queueName) {
+    return queues.has(queueName);
+  }
+
+  // Prefix a queue lives under, falling back to the first configured prefix
+  function getPrefix(queueName) {
+    return queues.get(queueName) || prefixes[0];
+  }
+
+  // "bull" or "bullmq"; queues not seen yet are assumed to be Bull queues
+  function getLibrary(queueName) {
+    return libraries.get(queueName) || DEFAULT_LIBRARY;
+  }
+
+  function start() {
+    if (refreshTimer) return;
+    refresh();
+    refreshTimer = setInterval(refresh, refreshInterval);
+    refreshTimer.unref();
+  }
+
+  function stop() {
+    if (refreshTimer) {
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+    }
+  }
+
+  return {
+    prefixes,
+    refresh,
+    getQueues,
+    hasQueue,
+    getPrefix,
+    getLibrary,
+    getLastRefreshed: () => lastRefreshed,
+    scanKeys: (pattern) => scanKeys(redisClient, pattern, scanCount),
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createQueueDiscovery,
+  parsePrefixes,
+  scanKeys,
+};
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+// Split a comma separated env value into a clean list. Every comma separated
+// setting (queue names, prefixes, origins, proxies, ...) goes through this.
+function parseList(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Convert a glob pattern (* and ?) into an anchored regular expression
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${escaped}$`);
+}
+
+// Read the registry config file, returning an empty config if it is missing
+function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    console.warn(`Queue registry config not found at ${resolved}`);
+    return {};
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  console.log(`Loaded queue registry config from ${resolved}`);
+  return config;
+}
+
+// Load registry settings from QUEUE_CONFIG_FILE and/or QUEUE_* env variables.
+// Env lists are appended to whatever the config file defines.
+function loadRegistryConfig(env = process.env) {
+  const fileConfig = env.QUEUE_CONFIG_FILE
+    ? readConfigFile(env.QUEUE_CONFIG_FILE)
+    : {};
+
+  return {
+    queues: [...(fileConfig.queues || []), ...parseList(env.QUEUE_NAMES)],
+    include: [...(fileConfig.include || []), ...parseList(env.QUEUE_INCLUDE)],
+    exclude: [...(fileConfig.exclude || []), ...parseList(env.QUEUE_EXCLUDE)],
+  };
+}
+
+// Build a queue registry that merges configured names with live discovery.
+//  - queues:  explicit queue names, always listed even if not in Redis yet
+//  - include: glob patterns a discovered queue must match (all if empty)
+//  - exclude: glob patterns removed from the result, configured or not
+function createQueueRegistry(config = loadRegistryConfig()) {
+  const configuredNames = new Set(config.queues || []);
+  const includePatterns = (config.include || []).map(globToRegExp);
+  const excludePatterns = (config.exclude || []).map(globToRegExp);
+
+  const isExcluded = (name) =>
+    excludePatterns.some((pattern) => pattern.test(name));
+
+  const isIncluded = (name) =>
+    includePatterns.length === 0 ||
+    includePatterns.some((pattern) => pattern.test(name));
+
+  // Returns [{ name, source }] where source is configured, discovered or both
+  function resolve(discoveredNames = []) {
+    const sources = new Map();
+
+    configuredNames.forEach((name) => {
+      if (!isExcluded(name)) {
+        sources.set(name, "configured");
+      }
+    });
+
+    discoveredNames.forEach((name) => {
+      if (sources.has(name)) {
+        sources.set(name, "both");
+      } else if (isIncluded(name) && !isExcluded(name)) {
+        sources.set(name, "discovered");
+      }
+    });
+
+    return Array.from(sources.entries())
+      .map(([name, source]) => ({ name, source }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Whether a queue name may be shown at all (used for on-demand lookups)
+  function isAllowed(name) {
+    if (isExcluded(name)) return false;
+    return configuredNames.has(name) || isIncluded(name);
+  }
+
+  // Whether a queue name is listed even before it exists in Redis
+  function isConfigured(name) {
+    return configuredNames.has(name) && !isExcluded(name);
+  }
+
+  return {
+    config: {
+      queues: Array.from(configuredNames),
+      include: config.include || [],
+      exclude: config.exclude || [],
+    },
+    resolve,
+    isAllowed,
+    isConfigured,
+  };
+}
+
+module.exports = {
+  createQueueRegistry,
+  loadRegistryConfig,
+  globToRegExp,
+  parseList,
+};
@@ -0,0 +1,392 @@
+// One place that turns a Redis connection config into clients: the node-redis
+// client the dashboard reads with, and the ioredis options every Bull and
+// BullMQ queue is created with. Standalone servers (redis:// or rediss:// URLs,
+// TLS certificates, ACL usernames), Sentinel and Cluster are supported.
+//
+// node-redis and ioredis spell their options differently: node-redis wants
+// the address and TLS settings under `socket` and never connects before
+// connect() is called, ioredis takes them at the top level. Configs are
+// normalized here first so both sides always agree.
+
+const fs = require("fs");
+const Redis = require("redis");
+const IORedis = require("ioredis");
+const { parseList } = require("./queueRegistry");
+
+const DEFAULT_CONNECT_TIMEOUT = 5000;
+const DEFAULT_PORT = 6379;
+const DEFAULT_SENTINEL_PORT = 26379;
+
+// "host:port,host:port" or [{ host, port }] -> [{ host, port }]
+function parseNodes(value, defaultPort) {
+  if (!value) return [];
+  const nodes = Array.isArray(value)
+    ? value
+    : parseList(String(value)).map((entry) => {
+        const separator = entry.lastIndexOf(":");
+        return separator === -1
+          ? { host: entry }
+          : {
+              host: entry.slice(0, separator),
+              port: entry.slice(separator + 1),
+            };
+      });
+  return nodes.map((node) => ({
+    host: node.host,
+    port: Number(node.port) || defaultPort,
+  }));
+}
+
+function readFileOption(file) {
+  return file ? fs.readFileSync(file) : undefined;
+}
+
+// tls: true, or { ca, cert, key } file paths plus rejectUnauthorized and servername
+function parseTls(tls) {
+  if (!tls) return null;
+  const options = tls === true ? {} : tls;
+  return {
+    ca: readFileOption(options.ca),
+    cert: readFileOption(options.cert),
+    key: readFileOption(options.key),
+    rejectUnauthorized: options.rejectUnauthorized !== false,
+    servername: options.servername || undefined,
+  };
+}
+
+// Normalize a connection's `redis` settings:
+// { url, host, port, username, password, db, tls, sentinels, sentinelName,
+//   sentinelUsername, sentinelPassword, cluster, connectTimeout }
+function parseRedisConfig(input = {}) {
+  const config = {
+    host: input.host || "localhost",
+    port: Number(input.port) || DEFAULT_PORT,
+    username: input.username || undefined,
+    password: input.password || undefined,
+    db: Number(input.db) || 0,
+    tls: input.tls || null,
+  };
+
+  // The URL always names the server, since host and port have defaults in
+  // .env.example; explicit credentials, db and TLS win over the URL's
+  if (input.url) {
+    const url = new URL(input.url);
+    if (!["redis:", "rediss:"].includes(url.protocol)) {
+      throw new Error(`Unsupported Redis URL protocol ${url.protocol}`);
+    }
+    config.host = url.hostname;
+    config.port = Number(url.port) || DEFAULT_PORT;
+    config.username =
+      input.username || decodeURIComponent(url.username) || undefined;
+    config.password =
+      input.password || decodeURIComponent(url.password) || undefined;
+    config.db = Number(input.db) || Number(url.pathname.slice(1)) || 0;
+    config.tls = input.tls || (url.protocol === "rediss:" ? true : null);
+  }
+
+  const sentinels = parseNodes(input.sentinels, DEFAULT_SENTINEL_PORT);
+  const clusterNodes = parseNodes(input.cluster, DEFAULT_PORT);
+  if (sentinels.length > 0 && clusterNodes.length > 0) {
+    throw new Error("Redis config cannot use both sentinels and cluster");
+  }
+  if (sentinels.length > 0 && !input.sentinelName) {
+    throw new Error("Redis Sentinel needs the master name (sentinelName)");
+  }
+
+  return {
+    ...config,
+    tls: parseTls(config.tls),
+    mode:
+      sentinels.length > 0
+        ? "sentinel"
+        : clusterNodes.length > 0
+        ? "cluster"
+        : "standalone",
+    sentinels,
+    sentinelName: input.sentinelName || null,
+    sentinelUsername: input.sentinelUsername || undefined,
+    sentinelPassword: input.sentinelPassword || undefined,
+    clusterNodes,
+    connectTimeout: Number(input.connectTimeout) || DEFAULT_CONNECT_TIMEOUT,
+  };
+}
+
+// Raw (unparsed) settings from the REDIS_* environment variables
+function redisConfigFromEnv(env = process.env) {
+  const tlsFiles = env.REDIS_TLS_CA || env.REDIS_TLS_CERT || env.REDIS_TLS_KEY;
+  return {
+    url: env.REDIS_URL || undefined,
+    host: env.REDIS_HOST || undefined,
+    port: env.REDIS_PORT || undefined,
+    username: env.REDIS_USERNAME || undefined,
+    password: env.REDIS_PASSWORD || undefined,
+    db: env.REDIS_DB || undefined,
+    tls:
+      env.REDIS_TLS === "true" || tlsFiles
+        ? {
+            ca: env.REDIS_TLS_CA,
+            cert: env.REDIS_TLS_CERT,
+            key: env.REDIS_TLS_KEY,
+            rejectUnauthorized: env.REDIS_TLS_REJECT_UNAUTHORIZED !== "false",
+            servername: env.REDIS_TLS_SERVERNAME,
+          }
+        : null,
+    sentinels: env.REDIS_SENTINELS || undefined,
+    sentinelName: env.REDIS_SENTINEL_NAME || undefined,
+    sentinelUsername: env.REDIS_SENTINEL_USERNAME || undefined,
+    sentinelPassword: env.REDIS_SENTINEL_PASSWORD || undefined,
+    cluster: env.REDIS_CLUSTER_NODES || undefined,
+    connectTimeout: env.REDIS_CONNECT_TIMEOUT || undefined,
+  };
+}
+
+// Cluster keys of one queue must share a hash slot, so Bull prefixes are
+// wrapped in a hash tag ("bull" -> "{bull}") unless they already have one
+function hashTagPrefix(prefix) {
+  return /\{[^}]+\}/.test(prefix) ? prefix : `{${prefix}}`;
+}
+
+// Prefixes as they appear in Redis for this config
+function normalizePrefixes(config, prefixes) {
+  return config.mode === "cluster" ? prefixes.map(hashTagPrefix) : prefixes;
+}
+
+// Where the config points, without credentials, for logs
+function describeRedisTarget(config) {
+  const nodes = (list) =>
+    list.map((node) => `${node.host}:${node.port}`).join(",");
+  if (config.mode === "sentinel") {
+    return `sentinel ${config.sentinelName} via ${nodes(config.sentinels)}`;
+  }
+  if (config.mode === "cluster") {
+    return `cluster ${nodes(config.clusterNodes)}`;
+  }
+  return `${config.tls ? "rediss" : "redis"}://${config.host}:${config.port}/${
+    config.db
+  }`;
+}
+
+function nodeRedisSocket(config, address = {}) {
+  return {
+    ...address,
+    connectTimeout: config.connectTimeout,
+    ...(config.tls ? { tls: true, ...config.tls } : {}),
+  };
+}
+
+// node-redis client for the dashboard's own reads. Nothing connects until
+// connect() is called.
+function createRedisClient(config) {
+  const credentials = {
+    username: config.username,
+    password: config.password,
+  };
+
+  if (config.mode === "sentinel") {
+    return Redis.createSentinel({
+      name: config.sentinelName,
+      sentinelRootNodes: config.sentinels,
+      nodeClientOptions: {
+        ...credentials,
+        database: config.db,
+        socket: nodeRedisSocket(config),
+      },
+      sentinelClientOptions: {
+        username: config.sentinelUsername,
+        password: config.sentinelPassword,
+        socket: nodeRedisSocket(config),
+      },
+    });
+  }
+
+  if (config.mode === "cluster") {
+    if (config.db) {
+      console.warn("Redis Cluster only has database 0, ignoring db");
+    }
+    const cluster = Redis.createCluster({
+      rootNodes: config.clusterNodes.map((node) => ({
+        socket: { host: node.host, port: node.port },
+      })),
+      defaults: { ...credentials, socket: nodeRedisSocket(config) },
+    });
+    // The cluster client has no isReady; it is ready once the slots are known
+    Object.defineProperty(cluster, "isReady", {
+      get: () => cluster.isOpen && cluster.masters.length > 0,
+    });
+    return cluster;
+  }
+
+  return Redis.createClient({
+    ...credentials,
+    database: config.db,
+    socket: nodeRedisSocket(config, { host: config.host, port: config.port }),
+  });
+}
+
+// Options for new Bull(name, options): ioredis settings for standalone and
+// Sentinel, and a createClient for Cluster
+function createBullOptions(config, prefix) {
+  const redis = {
+    username: config.username,
+    password: config.password,
+    connectTimeout: config.connectTimeout,
+    ...(config.tls ? { tls: config.tls } : {}),
+  };
+
+  if (config.mode === "cluster") {
+    return {
+      prefix: hashTagPrefix(prefix),
+      createClient: (type, redisOpts) =>
+        new IORedis.Cluster(config.clusterNodes, {
+          enableReadyCheck: false,
+          redisOptions: {
+            ...redisOpts,
+            ...redis,
+            // Required by Bull for its blocking and subscriber connections
+            ...(["bclient", "subscriber"].includes(type)
+              ? { maxRetriesPerRequest: null }
+              : {}),
+          },
+        }),
+    };
+  }
+
+  if (config.mode === "sentinel") {
+    return {
+      prefix,
+      redis: {
+        ...redis,
+        db: config.db,
+        sentinels: config.sentinels,
+        name: config.sentinelName,
+        sentinelUsername: config.sentinelUsername,
+        sentinelPassword: config.sentinelPassword,
+        ...(config.tls
+          ? { sentinelTLS: config.tls, enableTLSForSentinelMode: true }
+          : {}),
+      },
+    };
+  }
+
+  return {
+    prefix,
+    redis: { ...redis, host: config.host, port: config.port, db: config.db },
+  };
+}
+
+// Options for new Queue(name, options) from BullMQ, which takes the ioredis
+// settings (or a Cluster instance) as `connection`
+function createBullMQOptions(config, prefix) {
+  const redis = {
+    username: config.username,
+    password: config.password,
+    connectTimeout: config.connectTimeout,
+    ...(config.tls ? { tls: config.tls } : {}),
+  };
+
+  if (config.mode === "cluster") {
+    return {
+      prefix: hashTagPrefix(prefix),
+      connection: new IORedis.Cluster(config.clusterNodes, {
+        redisOptions: redis,
+      }),
+    };
+  }
+
+  if (config.mode === "sentinel") {
+    return {
+      prefix,
+      connection: {
+        ...redis,
+        db: config.db,
+        sentinels: config.sentinels,
+        name: config.sentinelName,
+        sentinelUsername: config.sentinelUsername,
+        sentinelPassword: config.sentinelPassword,
+        ...(config.tls
+          ? { sentinelTLS: config.tls, enableTLSForSentinelMode: true }
+          : {}),
+      },
+    };
+  }
+
+  return {
+    prefix,
+    connection: {
+      ...redis,
+      host: config.host,
+      port: config.port,
+      db: config.db,
+    },
+  };
+}
+
+// A Redis Cluster pipeline must stay on one hash slot. Cluster prefixes are
+// hash tagged ("{bull}"), so there the queues are pipelined per hash tag, and
+// the rare queue under an untagged prefix gets its commands one by one.
+// Returns [{ queues, pipelined }].
+function groupBySlot(redisClient, queues) {
+  if (!Array.isArray(redisClient.masters)) {
+    return [{ queues, pipelined: true }];
+  }
+
+  const groups = new Map();
+  queues.forEach((queue) => {
+    const tag = /\{([^}]+)\}/.exec(queue.prefix);
+    const groupKey = tag ? tag[1] : null;
+    if (groupKey === null) {
+      groups.set(Symbol(queue.name), { queues: [queue], pipelined: false });
+    } else if (groups.has(groupKey)) {
+      groups.get(groupKey).queues.push(queue);
+    } else {
+      groups.set(groupKey, { queues: [queue], pipelined: true });
+    }
+  });
+  return Array.from(groups.values());
+}
+
+// Run commands ((client) => client.<command>(...)) in one pipeline, or on
+// their own when they cannot share one
+async function runCommands(redisClient, commands, pipelined) {
+  if (!pipelined) {
+    return Promise.all(commands.map((command) => command(redisClient)));
+  }
+  const pipeline = redisClient.multi();
+  commands.forEach((command) => command(pipeline));
+  return pipeline.execAsPipeline();
+}
+
+// SCAN every key matching MATCH, yielding batches of keys. Cluster keys are
+// spread over the masters, so each of them is scanned in turn.
+async function* scanIterator(redisClient, { MATCH, COUNT }) {
+  const clients = Array.isArray(redisClient.masters)
+    ? await Promise.all(
+        redisClient.masters.map((master) => redisClient.nodeClient(master))
+      )
+    : [redisClient];
+
+  for (const client of clients) {
+    let cursor = "0";
+    do {
+      const reply = await client.scan(cursor, { MATCH, COUNT });
+      cursor = String(reply.cursor);
+      if (reply.keys.length > 0) {
+        yield reply.keys;
+      }
+    } while (cursor !== "0");
+  }
+}
+
+module.exports = {
+  createBullMQOptions,
+  createBullOptions,
+  createRedisClient,
+  describeRedisTarget,
+  groupBySlot,
+  hashTagPrefix,
+  normalizePrefixes,
+  parseRedisConfig,
+  redisConfigFromEnv,
+  runCommands,
+  scanIterator,
+};
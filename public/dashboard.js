@@ -1,3 +1,41 @@
+// Queue count changes for each relayed job event
+const JOB_EVENT_COUNT_CHANGES = {
+  completed: { active: -1, completed: 1 },
+  failed: { active: -1, failed: 1 },
+  stalled: { active: -1, waiting: 1 },
+};
+
+// Job list tabs that gain new entries from each job event (newest first)
+const JOB_EVENT_NEW_ENTRIES = {
+  completed: "completed",
+  failed: "failed",
+  stalled: "waiting",
+};
+
+// Actions offered on job cards for each job status, with confirmation prompts
+const JOB_CARD_ACTIONS = {
+  waiting: ["remove", "discard"],
+  active: ["discard"],
+  completed: ["remove"],
+  failed: ["retry", "remove"],
+  delayed: ["promote", "remove", "discard"],
+};
+
+const JOB_ACTION_INFO = {
+  retry: { label: "🔁 Retry", done: "queued for retry" },
+  promote: { label: "⏩ Promote", done: "promoted to run now" },
+  remove: {
+    label: "🗑️ Remove",
+    done: "removed",
+    confirm: "Remove job {id}? This cannot be undone.",
+  },
+  discard: {
+    label: "🚫 Discard",
+    done: "discarded, it will not be retried",
+    confirm: "Discard job {id}? It will not be retried after its current attempt.",
+  },
+};
+
 class BullDashboard {
   constructor() {
     this.socket = null;
@@ -9,25 +47,161 @@ class BullDashboard {
     this.queuesLoaded = false; // Track if queues have been loaded
     this.sortField = 'name';
     this.sortDirection = 'asc';
+    this.jobsStart = 0;
+    this.jobsLimit = 20;
+    this.jobsOrder = null; // null = server default order for the status
+    this.selectedJobIds = new Set();
+    this.bulkOperations = new Set(); // Bulk action ids started by this client
+    this.subscribedQueue = null; // Queue whose live job events we receive
+    this.jobsReloadTimer = null;
+    this.metricsRange = 60 * 60 * 1000; // Chart history range in ms
+    this.metricsHistory = null;
+    this.metricsHistoryLoadedAt = 0;
+    this.user = null; // { name, role } of the signed in user
+    this.auditStart = 0;
+    this.auditLimit = 50;
+    this.auditFilterTimer = null;
+    this.jobSearchController = null; // Aborts the running job search
+    this.failedGroupsView = false; // Failed tab shows error groups instead of jobs
+    // Redis connection (environment) the dashboard is looking at
+    this.connection = localStorage.getItem("bullDashboardConnection") || null;
 
     this.init();
   }
 
-  init() {
+  async init() {
+    if (!(await this.loadCurrentUser())) {
+      return;
+    }
+    await this.loadConnections();
     this.connectSocket();
     this.setupEventListeners();
     this.setupPageSwitching();
     this.loadInitialData();
     this.initCharts();
+    this.initMetricsRange();
     this.initModal();
+    this.initCleanForm();
+    this.initAddJobForm();
+    this.initImportForm();
+    this.initAnalyticsPanel();
+    this.initJobSearch();
+    this.initAuditFilters();
+  }
+
+  // Redirects to the login page when auth is enabled and nobody is signed in
+  async loadCurrentUser() {
+    try {
+      const response = await fetch("/api/auth/me");
+      const result = await response.json();
+      if (response.status === 401) {
+        this.redirectToLogin();
+        return false;
+      }
+
+      this.user = result.user;
+      document.body.classList.add(`role-${result.user.role}`);
+      if (result.enabled) {
+        document.getElementById("user-name").textContent = result.user.name;
+        document.getElementById("user-role").textContent = result.user.role;
+        document.getElementById("user-info").style.display = "";
+        document.getElementById("logout-btn").addEventListener("click", () => this.logout());
+      }
+    } catch (error) {
+      // Let the dashboard load; API calls will report the problem
+      console.error("Error loading current user:", error);
+    }
+    return true;
+  }
+
+  // Lists the Redis connections and labels the one in use. A stored choice
+  // that no longer exists falls back to the server's default connection.
+  async loadConnections() {
+    try {
+      const response = await fetch("/api/connections");
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { connections } = await response.json();
+      const current =
+        connections.find((connection) => connection.name === this.connection) ||
+        connections.find((connection) => connection.default) ||
+        connections[0];
+      this.connection = current ? current.name : null;
+      this.renderConnectionSwitcher(connections, current);
+    } catch (error) {
+      console.error("Error loading Redis connections:", error);
+      this.connection = null;
+    }
+  }
+
+  renderConnectionSwitcher(connections, current) {
+    if (!current) return;
+
+    const label = document.getElementById("connection-label");
+    label.textContent = current.label;
+    label.title = `Redis connection: ${current.name}`;
+    label.style.background = current.color || "";
+    label.style.display = "";
+    document.title = `${current.label} - Bull Queue Dashboard`;
+
+    // The switcher is only useful with more than one connection
+    if (connections.length < 2) return;
+
+    const select = document.getElementById("connection-select");
+    select.innerHTML = connections
+      .map(
+        (connection) => `
+          <option value="${this.escapeHtml(connection.name)}" ${connection.name === current.name ? "selected" : ""}>
+            ${this.escapeHtml(connection.label)}${connection.connected ? "" : " (disconnected)"}
+          </option>
+        `
+      )
+      .join("");
+    select.style.display = "";
+    select.addEventListener("change", () => this.switchConnection(select.value));
+  }
+
+  // Every chart, table and socket subscription belongs to one connection, so
+  // switching starts the page over
+  switchConnection(name) {
+    localStorage.setItem("bullDashboardConnection", name);
+    window.location.reload();
+  }
+
+  // API URL scoped to the selected Redis connection
+  apiUrl(path) {
+    return this.connection
+      ? `/api/connections/${encodeURIComponent(this.connection)}${path}`
+      : `/api${path}`;
+  }
+
+  redirectToLogin() {
+    const next = encodeURIComponent(window.location.hash || "");
+    window.location.href = `/login.html${next ? `?next=${next}` : ""}`;
+  }
+
+  async logout() {
+    try {
+      await fetch("/api/auth/logout", { method: "POST" });
+    } finally {
+      this.redirectToLogin();
+    }
   }
 
   connectSocket() {
-    this.socket = io();
+    this.socket = io({
+      query: this.connection ? { connection: this.connection } : {},
+    });
 
     this.socket.on("connect", () => {
       console.log("Connected to server");
       this.updateConnectionStatus(true);
+
+      // Rooms do not survive a reconnect, so subscribe again
+      if (this.subscribedQueue) {
+        this.socket.emit("subscribeQueue", this.subscribedQueue);
+      }
     });
 
     this.socket.on("disconnect", () => {
@@ -40,7 +214,7 @@ class BullDashboard {
       if (this.currentPage === "queues" && this.queuesLoaded) {
         console.log("Received queue stats:", stats.length, "queues");
         try {
-          this.updateDashboard(stats);
+          this.applyQueueStats(stats);
         } catch (error) {
           console.error("Error updating dashboard:", error);
         }
@@ -60,9 +234,9 @@ class BullDashboard {
       }
     });
 
-    // Handle progressive queue loading
+    // Handle progressive queue loading (later refreshes arrive as queueStats)
     this.socket.on("queueProcessingProgress", (progressData) => {
-      if (this.currentPage === "queues") {
+      if (this.currentPage === "queues" && !this.queuesLoaded) {
         console.log(
           `Queue processing progress: ${progressData.processedQueues}/${progressData.totalQueues} (${progressData.progress}%)`
         );
@@ -71,7 +245,7 @@ class BullDashboard {
     });
 
     this.socket.on("queueProcessingComplete", (completionData) => {
-      if (this.currentPage === "queues") {
+      if (this.currentPage === "queues" && !this.queuesLoaded) {
         console.log(
           "Queue processing completed:",
           completionData.queues.length,
@@ -81,8 +255,58 @@ class BullDashboard {
       }
     });
 
+    // Progress of bulk job actions (e.g. retry all failed)
+    this.socket.on("bulkActionProgress", (progressData) => {
+      if (this.bulkOperations.has(progressData.operationId)) {
+        this.showJobsStatus(
+          `${progressData.action}: ${progressData.processed}/${progressData.total} processed (${progressData.failed} errors)`
+        );
+      }
+    });
+
+    this.socket.on("bulkActionComplete", (result) => {
+      if (!this.bulkOperations.has(result.operationId)) {
+        return;
+      }
+      this.bulkOperations.delete(result.operationId);
+
+      if (result.error) {
+        this.showJobsStatus(`${result.action} failed: ${result.error}`, true);
+      } else {
+        this.showJobsStatus(
+          `✅ ${result.action} finished: ${result.succeeded} succeeded, ${result.failed} failed`,
+          result.failed > 0
+        );
+      }
+      if (result.queueName === this.selectedQueue) {
+        this.loadJobs(this.selectedQueue, this.selectedJobStatus);
+      }
+    });
+
+    // Live completed/failed/progress/stalled events for the subscribed queue
+    this.socket.on("jobEvents", (batch) => {
+      if (batch.queueName === this.subscribedQueue) {
+        this.applyJobEvents(batch);
+      }
+    });
+
+    // An alert started firing or resolved
+    this.socket.on("alertsChanged", (state) => {
+      this.renderAlerts(state);
+    });
+
+    // Another client paused or resumed a queue
+    this.socket.on("queuePaused", ({ queueName, paused }) => {
+      this.updateQueueRow(queueName, { paused });
+    });
+
     this.socket.on("connect_error", (error) => {
       console.error("Connection error:", error);
+      // The handshake is rejected once the session expires
+      if (error.message === "unauthorized") {
+        this.socket.disconnect();
+        this.redirectToLogin();
+      }
     });
 
     this.socket.on("error", (error) => {
@@ -129,7 +353,7 @@ class BullDashboard {
 
   handleHashChange() {
     const hash = (window.location.hash || "#redis").replace("#", "");
-    const page = (hash === "queues" ? "queues" : "redis");
+    const page = ["queues", "alerts", "audit"].includes(hash) ? hash : "redis";
     this.switchToPage(page);
   }
 
@@ -179,12 +403,22 @@ class BullDashboard {
         this.showQueuesLoading();
         this.loadQueues();
       }
+    } else if (page === "alerts") {
+      document.getElementById("alerts-tab")?.classList.add("active");
+      document.getElementById("alerts-page")?.classList.add("active");
+      this.loadAlerts();
+    } else if (page === "audit") {
+      document.getElementById("audit-tab")?.classList.add("active");
+      document.getElementById("audit-page")?.classList.add("active");
+      this.loadAudit();
     }
   }
 
   async loadInitialData() {
     // Only load Redis metrics by default since that's the default page
     this.loadRedisMetrics();
+    // Active alert count for the nav badge
+    this.loadAlerts();
   }
 
   showQueuesLoading() {
@@ -328,7 +562,7 @@ class BullDashboard {
   async loadRedisMetrics() {
     try {
       console.log("Loading Redis metrics...");
-      const response = await fetch("/api/redis-metrics");
+      const response = await fetch(this.apiUrl("/redis-metrics"));
       const metrics = await response.json();
       this.updateRedisMetrics(metrics);
       console.log("Redis metrics loaded successfully");
@@ -340,16 +574,16 @@ class BullDashboard {
 
   async loadQueues() {
     try {
-      console.log("FULL DISCOVERY: Loading all real queue names from Redis...");
+      console.log("Loading queues with job counts from Redis...");
 
       // Show loading UI
       this.showQueuesLoading();
 
-      const response = await fetch("/api/queues");
+      const response = await fetch(this.apiUrl("/queues"));
       const queueData = await response.json();
 
       console.log(
-        `✅ FULL DISCOVERY: Loaded ${queueData.length} real queue names from Redis`
+        `✅ Loaded ${queueData.length} queues with job counts from Redis`
       );
       console.log(
         `Queue names: ${queueData
@@ -382,7 +616,7 @@ class BullDashboard {
         this.loadRedisMetrics();
       } else if (this.currentPage === "queues" && this.queuesLoaded) {
         console.log("Refreshing queue data...");
-        const response = await fetch("/api/queues");
+        const response = await fetch(this.apiUrl("/queues"));
         const stats = await response.json();
         this.updateDashboard(stats);
       }
@@ -420,6 +654,23 @@ class BullDashboard {
     this.updateQueuesGrid(stats);
   }
 
+  // Refresh counts in place so sorting, loaded rows and scroll position survive.
+  // The table is only rebuilt when queues were added or removed.
+  applyQueueStats(stats) {
+    const knownNames = new Set((this.allQueues || []).map((q) => q.name));
+    const sameQueues =
+      stats.length === knownNames.size &&
+      stats.every((stat) => knownNames.has(stat.name));
+
+    if (!sameQueues) {
+      this.updateDashboard(stats);
+      return;
+    }
+
+    this.updateOverallStats(stats);
+    stats.forEach((stat) => this.updateQueueRow(stat.name, stat));
+  }
+
   updateOverallStats(stats) {
     const totalQueues = stats.length;
     const totalJobs = stats.reduce((sum, queue) => sum + queue.total, 0);
@@ -634,13 +885,13 @@ class BullDashboard {
       const fragment = document.createDocumentFragment();
       
       batchQueues.forEach((queue) => {
-        const rowHTML = this.createQueueCard(queue);
         const row = document.createElement('tr');
-        row.innerHTML = rowHTML;
-        
+        row.dataset.queueName = queue.name;
+        this.renderQueueRow(row, queue);
+
         // Add click listener to the row
         row.addEventListener('click', () => {
-          this.selectQueue(queue.name);
+          this.selectQueue(row.dataset.queueName);
         });
         
         fragment.appendChild(row);
@@ -665,195 +916,1061 @@ class BullDashboard {
     }, 100); // Small delay for better UX
   }
 
-  startAutoLoadTimer() {
-    // Clear any existing timer
-    if (this.autoLoadTimer) {
-      clearInterval(this.autoLoadTimer);
-    }
+  // Tag showing whether a queue is run by Bull or BullMQ
+  createLibraryBadge(library) {
+    if (!library) return '';
+    const label = library === 'bullmq' ? 'BullMQ' : 'Bull';
+    return `<span class="queue-library queue-library-${this.escapeHtml(library)}" title="Queue library">${label}</span>`;
+  }
 
-    // Don't start timer if all queues are loaded
-    if (this.currentLoadedCount >= this.allQueues.length) {
-      return;
-    }
+  // Fill a queue table row and wire up its buttons
+  renderQueueRow(row, queue) {
+    row.innerHTML = this.createQueueCard(queue);
 
-    // Start countdown for next batch
-    let countdown = 5; // seconds
-    const countdownElement = document.getElementById("countdown");
-    
-    if (countdownElement) {
-      countdownElement.textContent = countdown;
-    }
+    // Jobs button opens the job browser instead of the keys modal
+    row.querySelector('.queue-jobs-btn')?.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.showQueueJobs(queue.name);
+    });
 
-    this.autoLoadTimer = setInterval(() => {
-      countdown--;
-      
-      if (countdownElement) {
-        countdownElement.textContent = countdown;
-      }
-      
-      if (countdown <= 0) {
-        clearInterval(this.autoLoadTimer);
-        this.loadNextBatch();
-      }
-    }, 1000);
+    row.querySelector('.queue-pause-btn')?.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.toggleQueuePause(queue);
+    });
+
+    row.querySelector('.queue-clean-btn')?.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.showCleanModal(queue.name);
+    });
+
+    row.querySelector('.queue-repeat-badge')?.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.showRepeatableModal(queue.name);
+    });
   }
 
-  stopAutoLoadTimer() {
-    if (this.autoLoadTimer) {
-      clearInterval(this.autoLoadTimer);
-      this.autoLoadTimer = null;
-    }
+  // Re-render a single queue row after its state changed
+  updateQueueRow(queueName, changes) {
+    const queue = this.allQueues?.find((q) => q.name === queueName);
+    if (!queue) return;
+    Object.assign(queue, changes);
 
-    const loadingIndicator = document.querySelector(".auto-loading-indicator");
-    if (loadingIndicator) {
-      loadingIndicator.style.display = "none";
+    const row = Array.from(this.tableBody?.rows || []).find(
+      (r) => r.dataset.queueName === queueName
+    );
+    if (row) {
+      this.renderQueueRow(row, queue);
     }
   }
 
-  createTableHeader() {
-    return `
-      <thead>
-        <tr style="background-color: #f7fafc; border-bottom: 2px solid #e2e8f0;">
-          <th style="padding: 12px; text-align: left; font-weight: 600; color: #4a5568; cursor: pointer;" 
-              onclick="dashboard.sortTable('name')">
-            Queue Name ${this.getSortIcon('name')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
-              onclick="dashboard.sortTable('waiting')">
-            WAITING ${this.getSortIcon('waiting')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
-              onclick="dashboard.sortTable('active')">
-            ACTIVE ${this.getSortIcon('active')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
-              onclick="dashboard.sortTable('completed')">
-            COMPLETED ${this.getSortIcon('completed')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
-              onclick="dashboard.sortTable('failed')">
-            FAILED ${this.getSortIcon('failed')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
-              onclick="dashboard.sortTable('delayed')">
-            DELAYED ${this.getSortIcon('delayed')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
-              onclick="dashboard.sortTable('total')">
-            TOTAL ${this.getSortIcon('total')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
-              onclick="dashboard.sortTable('memory')">
-            MEMORY (MB) ${this.getSortIcon('memory')}
-          </th>
-          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568;">
-            STATUS
-          </th>
-        </tr>
-      </thead>
-    `;
+  showCleanModal(queueName) {
+    this.cleanQueueName = queueName;
+    document.getElementById("clean-queue-name").textContent = queueName;
+    document.getElementById("clean-result").innerHTML = "";
+    document.getElementById("queue-clean-modal").style.display = "block";
   }
 
-  createQueueCard(queue) {
-    const hasJobs = queue.waiting + queue.active + queue.completed + queue.failed + queue.delayed > 0;
-    const memoryUsage = this.calculateQueueMemory(queue);
-    
-    // Helper function to format cell content with conditional styling and data attributes for responsive view
-    const formatCell = (value, label, isHighlight = false) => {
-      const highlightStyle = isHighlight ? 'font-weight: 600; color: #2d3748;' : 'color: #4a5568;';
-      return `
-        <td 
-          data-label="${label}" 
-          style="padding: 12px; text-align: center; ${highlightStyle} border-bottom: 1px solid #edf2f7;"
-        >
-          ${value || 0}
-        </td>`;
-    };
-    
-    return `
-      <tr 
-        class="queue-row" 
-        data-queue-name="${queue.name}" 
-        style="transition: background-color 0.2s ease;"
-        onmouseover="this.style.backgroundColor='#f8fafc'" 
-        onmouseout="this.style.backgroundColor='#ffffff'"
-      >
-        <td 
-          data-label="Queue Name"
-          style="padding: 12px; font-weight: 500; color: #2d3748; border-bottom: 1px solid #edf2f7;"
-        >
-          <div style="display: flex; align-items: center; justify-content: space-between;">
-            <span>${this.escapeHtml(queue.name)}</span>
-          </div>
-        </td>
-        ${formatCell(queue.waiting, 'WAITING')}
-        ${formatCell(queue.active, 'ACTIVE')}
-        ${formatCell(queue.completed, 'COMPLETED')}
-        ${formatCell(queue.failed, 'FAILED')}
-        ${formatCell(queue.delayed, 'DELAYED')}
-        ${formatCell(queue.total, 'TOTAL', true)}
-        <td 
-          data-label="MEMORY (MB)" 
-          style="padding: 12px; text-align: center; color: #4a5568; border-bottom: 1px solid #edf2f7;"
-        >
-          ${this.formatMemory(memoryUsage)}
-        </td>
-        <td 
-          data-label="STATUS"
-          style="padding: 12px; text-align: center; border-bottom: 1px solid #edf2f7;"
-        >
-          <span 
-            class="status-indicator" 
-            data-active="${hasJobs}"
-            style="display: inline-block; width: 12px; height: 12px; border-radius: 50%; background-color: ${hasJobs ? '#38a169' : '#a0aec0'}; ${hasJobs ? 'animation: pulse 1.5s infinite;' : ''}"
-            title="${hasJobs ? 'Queue is active' : 'Queue is idle'}"
-          ></span>
-        </td>
-      </tr>`;
-  }
-  
-  closeTable() {
-    return `
-        </tbody>
-      </table>
-    `;
+  initCleanForm() {
+    const form = document.getElementById("clean-form");
+    document
+      .getElementById("clean-preview-btn")
+      .addEventListener("click", () => this.runClean(true));
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.runClean(false);
+    });
   }
 
-  // Format bytes to MB with 2 decimal places
-  formatMemory(bytes) {
-    return (bytes / (1024 * 1024)).toFixed(2);
-  }
+  async runClean(dryRun) {
+    const queueName = this.cleanQueueName;
+    const result = document.getElementById("clean-result");
+    const status = document.getElementById("clean-status").value;
+    const graceValue = parseFloat(document.getElementById("clean-grace").value) || 0;
+    const graceUnit = parseInt(document.getElementById("clean-grace-unit").value);
+    const limit = parseInt(document.getElementById("clean-limit").value) || 0;
+    const grace = Math.round(graceValue * graceUnit);
+    const olderThan = `${graceValue} ${document.getElementById("clean-grace-unit").selectedOptions[0].text}`;
+
+    if (
+      !dryRun &&
+      !confirm(`Permanently remove ${status} jobs older than ${olderThan} from ${queueName}?`)
+    ) {
+      return;
+    }
 
-  // Calculate memory usage for a queue
-  calculateQueueMemory(queue) {
-    // This is a simplified calculation - adjust based on your actual memory usage
-    const jobSize = 1024; // Approx 1KB per job
-    return (queue.total || 0) * jobSize;
+    result.innerHTML = `<div class="loading">${dryRun ? "Counting matching jobs..." : "Cleaning..."}</div>`;
+
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/clean`),
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ status, grace, limit, dryRun }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      result.innerHTML = dryRun
+        ? `<div class="clean-summary">🔍 ${data.complete ? "" : "At least "}${data.matched.toLocaleString()} ${status} jobs older than ${this.escapeHtml(olderThan)} would be removed${limit > 0 && data.matched >= limit ? " (limit reached)" : ""}${data.complete ? "" : ` (counting stopped after ${data.scanned.toLocaleString()} jobs)`}.</div>`
+        : `<div class="clean-summary">✅ Removed ${data.removed.toLocaleString()} ${status} jobs from ${this.escapeHtml(queueName)}.</div>`;
+    } catch (error) {
+      console.error("Error cleaning queue:", error);
+      result.innerHTML = `<div class="error-message">Clean failed: ${this.escapeHtml(error.message)}</div>`;
+    }
   }
 
-  // Get sort icon based on current sort field and direction
-  getSortIcon(field) {
-    if (this.sortField !== field) return '↕️';
-    return this.sortDirection === 'asc' ? '⬆️' : '⬇️';
+  showRepeatableModal(queueName) {
+    this.repeatableQueueName = queueName;
+    document.getElementById("repeatable-queue-name").textContent = queueName;
+    document.getElementById("repeatable-status").textContent = "";
+    document.getElementById("repeatable-modal").style.display = "block";
+    this.loadRepeatableJobs(queueName);
   }
 
-  // Sort table data
-  sortTable(field) {
-    if (this.sortField === field) {
-      // Toggle sort direction if same field is clicked
-      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
-    } else {
-      // Default to ascending for new field
-      this.sortDirection = 'asc';
-      this.sortField = field;
-    }
+  async loadRepeatableJobs(queueName) {
+    const container = document.getElementById("repeatable-container");
+    container.innerHTML = '<div class="loading">Loading repeatable jobs...</div>';
 
-    // Sort the queues array
-    this.allQueues.sort((a, b) => {
-      let valueA, valueB;
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/repeatable`)
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
 
-      if (field === 'memory') {
-        valueA = this.calculateQueueMemory(a);
+      // Keep the row badge in step with what is actually scheduled
+      this.updateQueueRow(queueName, { repeatable: data.total });
+
+      if (data.repeatableJobs.length === 0) {
+        container.innerHTML = '<div class="loading">No repeatable jobs scheduled.</div>';
+        return;
+      }
+
+      const formatDate = (value) =>
+        value ? new Date(value).toLocaleString() : "—";
+      const rows = data.repeatableJobs
+        .map(
+          (repeatable) => `
+            <tr>
+              <td>${this.escapeHtml(repeatable.name)}${repeatable.id ? ` <span class="repeatable-id">(${this.escapeHtml(repeatable.id)})</span>` : ""}</td>
+              <td><code>${repeatable.cron ? this.escapeHtml(repeatable.cron) : `every ${repeatable.every}ms`}</code></td>
+              <td>${this.escapeHtml(repeatable.tz || "—")}</td>
+              <td>${formatDate(repeatable.next)}</td>
+              <td>${formatDate(repeatable.endDate)}</td>
+              <td>
+                <button class="btn btn-danger repeatable-remove-btn" data-key="${this.escapeHtml(repeatable.key)}">🗑️ Delete</button>
+              </td>
+            </tr>`
+        )
+        .join("");
+
+      container.innerHTML = `
+        <table class="repeatable-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Schedule</th>
+              <th>Timezone</th>
+              <th>Next Run</th>
+              <th>End Date</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+
+      container.querySelectorAll(".repeatable-remove-btn").forEach((button) => {
+        button.addEventListener("click", () =>
+          this.removeRepeatableJob(queueName, button.dataset.key)
+        );
+      });
+    } catch (error) {
+      console.error("Error loading repeatable jobs:", error);
+      container.innerHTML = `<div class="error-message">Error loading repeatable jobs: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  async removeRepeatableJob(queueName, key) {
+    const status = document.getElementById("repeatable-status");
+    if (!confirm(`Delete repeatable schedule ${key} from ${queueName}? Its next scheduled job is removed too.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/repeatable/remove`),
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ key }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      status.textContent = `Deleted schedule ${key}`;
+      status.classList.remove("error");
+    } catch (error) {
+      console.error("Error removing repeatable job:", error);
+      status.textContent = `Could not delete schedule: ${error.message}`;
+      status.classList.add("error");
+    }
+
+    this.loadRepeatableJobs(queueName);
+  }
+
+  initAnalyticsPanel() {
+    document
+      .getElementById("queue-analytics-btn")
+      .addEventListener("click", () => this.showQueueAnalytics(this.selectedQueue));
+    document
+      .getElementById("analytics-window")
+      .addEventListener("change", () => this.loadQueueAnalytics(this.analyticsQueueName));
+  }
+
+  initJobSearch() {
+    const field = document.getElementById("job-search-field");
+    field.addEventListener("change", () => {
+      document.getElementById("job-search-path").style.display = field.value === "data" ? "" : "none";
+    });
+    document.getElementById("job-search-form").addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.searchJobs(this.selectedQueue);
+    });
+    document.getElementById("job-search-stop").addEventListener("click", () => {
+      this.jobSearchController?.abort();
+    });
+    document.getElementById("job-search-results").addEventListener("click", (event) => {
+      const btn = event.target.closest(".job-detail-btn");
+      if (btn) this.showJobDetail(this.selectedQueue, btn.dataset.jobId);
+    });
+  }
+
+  resetJobSearch() {
+    const controller = this.jobSearchController;
+    this.jobSearchController = null;
+    controller?.abort();
+    document.getElementById("job-search-stop").style.display = "none";
+    document.getElementById("job-search-query").value = "";
+    document.getElementById("job-search-status").textContent = "";
+    document.getElementById("job-search-results").innerHTML = "";
+  }
+
+  // Run a search and render matches as the server streams them (NDJSON)
+  async searchJobs(queueName) {
+    const field = document.getElementById("job-search-field").value;
+    const q = document.getElementById("job-search-query").value.trim();
+    const path = document.getElementById("job-search-path").value.trim();
+    const status = document.getElementById("job-search-status");
+    const results = document.getElementById("job-search-results");
+    const stopBtn = document.getElementById("job-search-stop");
+    if (!queueName || !q) return;
+
+    this.jobSearchController?.abort();
+    const controller = new AbortController();
+    this.jobSearchController = controller;
+
+    const params = new URLSearchParams({ field, q });
+    if (field === "data" && path) params.set("path", path);
+
+    status.classList.remove("error");
+    status.textContent = "Searching...";
+    results.innerHTML = `
+      <table class="repeatable-table">
+        <thead>
+          <tr><th>Job ID</th><th>Name</th><th>Created</th><th>Finished</th><th>Match</th><th></th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    `;
+    const tbody = results.querySelector("tbody");
+    stopBtn.style.display = "";
+
+    let matched = 0;
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/search?${params}`),
+        { signal: controller.signal }
+      );
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        lines.filter(Boolean).forEach((line) => {
+          const message = JSON.parse(line);
+          if (message.type === "match") {
+            matched++;
+            tbody.insertAdjacentHTML("beforeend", this.createJobSearchRow(message.job, field));
+          } else if (message.type === "progress") {
+            status.textContent = `Searching... ${message.scanned.toLocaleString()} jobs scanned, ${message.matched.toLocaleString()} found`;
+          } else if (message.type === "done") {
+            const stoppedBy = {
+              maxScanned: "scan limit reached",
+              timeLimit: "time limit reached",
+              maxResults: "result limit reached",
+            }[message.stoppedBy];
+            status.textContent = `${message.matched.toLocaleString()} found, ${message.scanned.toLocaleString()} jobs scanned in ${(message.elapsed / 1000).toFixed(1)}s${stoppedBy ? ` (${stoppedBy}, results are partial)` : ""}`;
+          } else if (message.type === "error") {
+            throw new Error(message.error);
+          }
+        });
+      }
+    } catch (error) {
+      // A newer search or a queue switch replaced this one; leave its output alone
+      if (this.jobSearchController !== controller) return;
+      if (error.name === "AbortError") {
+        status.textContent = `Search stopped, ${matched.toLocaleString()} found`;
+      } else {
+        console.error("Error searching jobs:", error);
+        status.textContent = `Search failed: ${error.message}`;
+        status.classList.add("error");
+      }
+    }
+
+    if (this.jobSearchController !== controller) return;
+    this.jobSearchController = null;
+    stopBtn.style.display = "none";
+    if (matched === 0 && !status.classList.contains("error")) {
+      results.innerHTML = `<div class="loading">No matching jobs</div>`;
+    }
+  }
+
+  createJobSearchRow(job, field) {
+    const formatDate = (value) =>
+      value ? new Date(value).toLocaleString() : "—";
+    const match = field === "failedReason"
+      ? `<div class="job-search-reason" title="${this.escapeHtml(job.failedReason)}">${this.escapeHtml(job.failedReason)}</div>`
+      : `<code>${this.escapeHtml(String(job.matched))}</code>`;
+
+    return `
+      <tr>
+        <td><code>${this.escapeHtml(job.id)}</code></td>
+        <td>${this.escapeHtml(job.name || "—")}</td>
+        <td>${formatDate(job.timestamp)}</td>
+        <td>${formatDate(job.finishedOn)}</td>
+        <td>${match}</td>
+        <td><button class="btn btn-secondary job-detail-btn" data-job-id="${this.escapeHtml(job.id)}">🔍 Details</button></td>
+      </tr>`;
+  }
+
+  showQueueAnalytics(queueName) {
+    this.analyticsQueueName = queueName;
+    document.getElementById("analytics-queue-name").textContent = queueName;
+    document.getElementById("queue-analytics-modal").style.display = "block";
+    this.loadQueueAnalytics(queueName);
+  }
+
+  async loadQueueAnalytics(queueName) {
+    const container = document.getElementById("analytics-container");
+    const windowMinutes = document.getElementById("analytics-window").value;
+    container.innerHTML = '<div class="loading">Loading analytics...</div>';
+
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/analytics?window=${windowMinutes}`)
+      );
+      const analytics = await response.json();
+      if (!response.ok) {
+        throw new Error(analytics.error || `HTTP ${response.status}`);
+      }
+
+      const latencyRow = (label, stats) => `
+        <tr>
+          <td>${label}</td>
+          <td>${this.formatDuration(stats.p50)}</td>
+          <td>${this.formatDuration(stats.p95)}</td>
+          <td>${this.formatDuration(stats.p99)}</td>
+          <td>${this.formatDuration(stats.max)}</td>
+        </tr>`;
+
+      container.innerHTML = `
+        <div class="analytics-summary">
+          <div class="analytics-stat">
+            <span class="analytics-value">${analytics.totals.completedPerMinute.toFixed(2)}</span>
+            <span class="analytics-label">completed / min (${analytics.totals.completed.toLocaleString()} total)</span>
+          </div>
+          <div class="analytics-stat">
+            <span class="analytics-value analytics-failed">${analytics.totals.failedPerMinute.toFixed(2)}</span>
+            <span class="analytics-label">failed / min (${analytics.totals.failed.toLocaleString()} total)</span>
+          </div>
+        </div>
+        <table class="repeatable-table analytics-latency">
+          <thead>
+            <tr><th></th><th>p50</th><th>p95</th><th>p99</th><th>max</th></tr>
+          </thead>
+          <tbody>
+            ${latencyRow("Wait time", analytics.waitTime)}
+            ${latencyRow("Processing time", analytics.processingTime)}
+          </tbody>
+        </table>
+        <div class="analytics-note">
+          Latency from the ${analytics.sampledJobs.toLocaleString()} most recently finished jobs.
+          Jobs removed on completion are not included.
+        </div>
+      `;
+
+      // Charts show per-minute rates even when points cover several minutes
+      const perMinute = (field) =>
+        analytics.throughput.map((point) => point[field] / analytics.bucketMinutes);
+      this.updateChart(
+        document.getElementById("analytics-completed-chart").getContext("2d"),
+        perMinute("completed"),
+        "Completed / min",
+        "#38a169"
+      );
+      this.updateChart(
+        document.getElementById("analytics-failed-chart").getContext("2d"),
+        perMinute("failed"),
+        "Failed / min",
+        "#e53e3e"
+      );
+    } catch (error) {
+      console.error("Error loading queue analytics:", error);
+      container.innerHTML = `<div class="error-message">Error loading analytics: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  formatDuration(ms) {
+    if (ms === null || ms === undefined) return "—";
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    if (ms < 3600000) return `${(ms / 60000).toFixed(1)}m`;
+    return `${(ms / 3600000).toFixed(1)}h`;
+  }
+
+  async loadAlerts() {
+    try {
+      const response = await fetch(this.apiUrl("/alerts"));
+      const state = await response.json();
+      if (!response.ok) {
+        throw new Error(state.error || `HTTP ${response.status}`);
+      }
+      this.alertRules = state.rules;
+      this.renderAlerts(state);
+    } catch (error) {
+      console.error("Error loading alerts:", error);
+      document.getElementById("active-alerts").innerHTML =
+        `<div class="error-message">Error loading alerts: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  renderAlerts(state) {
+    const firing = state.active.filter((alert) => alert.state === "firing");
+    const badge = document.getElementById("alerts-count");
+    badge.textContent = firing.length;
+    badge.style.display = firing.length > 0 ? "" : "none";
+
+    const formatDate = (value) =>
+      value ? new Date(value).toLocaleString() : "—";
+    const alertItem = (alert) => `
+      <div class="alert-item alert-${this.escapeHtml(alert.severity)} alert-state-${alert.state}">
+        <div class="alert-header">
+          <span class="alert-severity">${this.escapeHtml(alert.severity)}</span>
+          <span class="alert-message">${this.escapeHtml(alert.message)}</span>
+          <span class="alert-state">${alert.state.toUpperCase()}</span>
+        </div>
+        <div class="alert-meta">
+          Rule <code>${this.escapeHtml(alert.ruleId)}</code>
+          · since ${formatDate(alert.firedAt || alert.startsAt)}
+          ${alert.endsAt ? ` · resolved ${formatDate(alert.endsAt)}` : ""}
+          ${alert.state === "firing" && !alert.notified ? " · not notified (cooldown)" : ""}
+        </div>
+        ${alert.description ? `<div class="alert-meta">${this.escapeHtml(alert.description)}</div>` : ""}
+      </div>`;
+
+    document.getElementById("active-alerts").innerHTML =
+      state.active.length > 0
+        ? state.active.map(alertItem).join("")
+        : '<div class="loading">No active alerts 🎉</div>';
+    document.getElementById("resolved-alerts").innerHTML =
+      state.resolved.length > 0
+        ? state.resolved.map(alertItem).join("")
+        : '<div class="loading">No recently resolved alerts.</div>';
+    document.getElementById("alerts-last-evaluation").textContent =
+      state.lastEvaluation
+        ? `Last evaluated ${formatDate(state.lastEvaluation.at)}${state.lastEvaluation.error ? ` (error: ${state.lastEvaluation.error})` : ""}`
+        : "Not evaluated yet";
+
+    const rules = state.rules || this.alertRules || [];
+    document.getElementById("alert-rules").innerHTML =
+      rules.length > 0
+        ? `
+          <table class="repeatable-table">
+            <thead>
+              <tr><th>Rule</th><th>Type</th><th>Queue</th><th>Threshold</th><th>Severity</th></tr>
+            </thead>
+            <tbody>
+              ${rules
+                .map(
+                  (rule) => `
+                    <tr>
+                      <td>${this.escapeHtml(rule.id)}</td>
+                      <td>${this.escapeHtml(rule.type)}${rule.window ? ` (${this.formatDuration(rule.window)})` : ""}</td>
+                      <td>${this.escapeHtml(rule.queue || "—")}</td>
+                      <td>${rule.threshold ?? "—"}</td>
+                      <td>${this.escapeHtml(rule.severity)}</td>
+                    </tr>`
+                )
+                .join("")}
+            </tbody>
+          </table>`
+        : '<div class="loading">No alert rules configured. Set ALERT_CONFIG_FILE to enable alerting.</div>';
+  }
+
+  initAuditFilters() {
+    const reload = () => {
+      this.auditStart = 0;
+      this.loadAudit();
+    };
+    document.getElementById("audit-connection").addEventListener("change", reload);
+    document.getElementById("audit-queue").addEventListener("change", reload);
+    document.getElementById("audit-action").addEventListener("change", reload);
+    // Wait for a pause in typing before filtering by user
+    document.getElementById("audit-user").addEventListener("input", () => {
+      clearTimeout(this.auditFilterTimer);
+      this.auditFilterTimer = setTimeout(reload, 300);
+    });
+  }
+
+  async loadAudit() {
+    const container = document.getElementById("audit-entries");
+    const params = new URLSearchParams({
+      start: this.auditStart,
+      limit: this.auditLimit,
+    });
+    const filters = {
+      connection: document.getElementById("audit-connection").value,
+      queue: document.getElementById("audit-queue").value,
+      user: document.getElementById("audit-user").value.trim(),
+      action: document.getElementById("audit-action").value,
+    };
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value) params.set(name, value);
+    });
+
+    try {
+      const response = await fetch(`/api/audit?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      this.updateAuditFilterOptions("audit-connection", result.filters.connections, "All connections");
+      this.updateAuditFilterOptions("audit-queue", result.filters.queues, "All queues");
+      this.updateAuditFilterOptions("audit-action", result.filters.actions, "All actions");
+      this.renderAuditEntries(result);
+    } catch (error) {
+      console.error("Error loading audit log:", error);
+      container.innerHTML = `<div class="error-message">Error loading audit log: ${this.escapeHtml(error.message)}</div>`;
+      document.getElementById("audit-pagination").innerHTML = "";
+    }
+  }
+
+  // Refill a filter dropdown, keeping the current selection
+  updateAuditFilterOptions(selectId, values, allLabel) {
+    const select = document.getElementById(selectId);
+    const selected = select.value;
+    const options = selected && !values.includes(selected) ? [selected, ...values] : values;
+    select.innerHTML = `
+      <option value="">${allLabel}</option>
+      ${options
+        .map(
+          (value) =>
+            `<option value="${this.escapeHtml(value)}" ${value === selected ? "selected" : ""}>${this.escapeHtml(value)}</option>`
+        )
+        .join("")}`;
+  }
+
+  renderAuditEntries(page) {
+    const container = document.getElementById("audit-entries");
+    if (page.entries.length === 0) {
+      container.innerHTML = '<div class="loading">No audit log entries match these filters.</div>';
+    } else {
+      container.innerHTML = `
+        <table class="repeatable-table audit-table">
+          <thead>
+            <tr><th>Time</th><th>User</th><th>Action</th><th>Connection</th><th>Queue</th><th>Jobs</th><th>Parameters</th><th>Outcome</th></tr>
+          </thead>
+          <tbody>
+            ${page.entries.map((entry) => this.renderAuditEntry(entry)).join("")}
+          </tbody>
+        </table>`;
+    }
+
+    const pagination = document.getElementById("audit-pagination");
+    const from = page.total === 0 ? 0 : page.start + 1;
+    const to = Math.min(page.start + page.entries.length, page.total);
+    const hasPrev = page.start > 0;
+    const hasNext = page.start + page.limit < page.total;
+    pagination.innerHTML = `
+      <button class="btn btn-secondary" id="audit-prev" ${hasPrev ? "" : "disabled"}>⬅️ Newer</button>
+      <span class="jobs-range">${from.toLocaleString()}–${to.toLocaleString()} of ${page.total.toLocaleString()}</span>
+      <button class="btn btn-secondary" id="audit-next" ${hasNext ? "" : "disabled"}>Older ➡️</button>`;
+
+    document.getElementById("audit-prev").addEventListener("click", () => {
+      this.auditStart = Math.max(0, this.auditStart - this.auditLimit);
+      this.loadAudit();
+    });
+    document.getElementById("audit-next").addEventListener("click", () => {
+      this.auditStart += this.auditLimit;
+      this.loadAudit();
+    });
+  }
+
+  renderAuditEntry(entry) {
+    const outcome = entry.outcome || {};
+    const outcomeText = [
+      outcome.status ? `HTTP ${outcome.status}` : null,
+      outcome.error || null,
+      outcome.total !== undefined && outcome.succeeded === undefined ? `${outcome.total} jobs queued` : null,
+      outcome.succeeded !== undefined ? `${outcome.succeeded} succeeded, ${outcome.failed} failed` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    const jobIds = entry.jobIds.slice(0, 5).map((jobId) => this.escapeHtml(jobId)).join(", ");
+    const moreJobs = entry.jobCount > 5 ? ` +${(entry.jobCount - 5).toLocaleString()} more` : "";
+
+    return `
+      <tr>
+        <td>${new Date(entry.timestamp).toLocaleString()}</td>
+        <td>${this.escapeHtml(entry.user)}${entry.role ? ` <span class="repeatable-id">${this.escapeHtml(entry.role)}</span>` : ""}</td>
+        <td><code>${this.escapeHtml(entry.action)}</code></td>
+        <td>${this.escapeHtml(entry.connection || "—")}</td>
+        <td>${this.escapeHtml(entry.queue || "—")}</td>
+        <td>${jobIds || "—"}${moreJobs}</td>
+        <td>${entry.params ? `<code class="audit-params" title="${this.escapeHtml(JSON.stringify(entry.params))}">${this.escapeHtml(JSON.stringify(entry.params))}</code>` : "—"}</td>
+        <td class="${outcome.success ? "audit-success" : "audit-failure"}">${outcome.success ? "✅" : "❌"} ${this.escapeHtml(outcomeText)}</td>
+      </tr>`;
+  }
+
+  showAddJobModal() {
+    document.getElementById("add-job-queue-name").textContent = this.selectedQueue;
+    document.getElementById("add-job-result").innerHTML = "";
+    document.getElementById("add-job-modal").style.display = "block";
+  }
+
+  initImportForm() {
+    document
+      .getElementById("import-jobs-btn")
+      .addEventListener("click", () => this.showImportModal());
+    document.getElementById("import-jobs-form").addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.importJobs(this.selectedQueue);
+    });
+  }
+
+  showImportModal() {
+    document.getElementById("import-jobs-queue-name").textContent = this.selectedQueue;
+    document.getElementById("import-jobs-result").innerHTML = "";
+    document.getElementById("import-jobs-modal").style.display = "block";
+  }
+
+  // Upload an NDJSON file and list the lines that could not be imported
+  async importJobs(queueName) {
+    const file = document.getElementById("import-jobs-file").files[0];
+    const optsText = document.getElementById("import-jobs-opts").value.trim();
+    const result = document.getElementById("import-jobs-result");
+    const submit = document.getElementById("import-jobs-submit");
+    if (!file) return;
+
+    const params = new URLSearchParams();
+    if (optsText) {
+      try {
+        params.set("opts", JSON.stringify(JSON.parse(optsText)));
+      } catch (error) {
+        result.innerHTML = `<div class="error-message">Option overrides are not valid JSON: ${this.escapeHtml(error.message)}</div>`;
+        return;
+      }
+    }
+    if (document.getElementById("import-jobs-keep-ids").checked) {
+      params.set("keepJobIds", "true");
+    }
+
+    submit.disabled = true;
+    result.innerHTML = '<div class="loading">Importing...</div>';
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/import?${params}`),
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/x-ndjson" },
+          body: file,
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      const errors = data.errors.length > 0
+        ? `
+          <table class="repeatable-table import-errors">
+            <thead><tr><th>Line</th><th>Error</th></tr></thead>
+            <tbody>
+              ${data.errors.map((entry) => `<tr><td>${entry.line}</td><td>${this.escapeHtml(entry.error)}</td></tr>`).join("")}
+            </tbody>
+          </table>
+          ${data.errorsTruncated ? `<div class="jobs-range">Only the first ${data.errors.length.toLocaleString()} errors are shown.</div>` : ""}
+        `
+        : "";
+      result.innerHTML = `
+        <div class="clean-summary">
+          ${data.failed > 0 ? "⚠️" : "✅"} Imported ${data.imported.toLocaleString()} of ${data.total.toLocaleString()} jobs into ${this.escapeHtml(queueName)}${data.failed > 0 ? `, ${data.failed.toLocaleString()} lines failed` : ""}.
+        </div>
+        ${errors}
+      `;
+      this.loadJobs(queueName, this.selectedJobStatus);
+    } catch (error) {
+      console.error("Error importing jobs:", error);
+      result.innerHTML = `<div class="error-message">Import failed: ${this.escapeHtml(error.message)}</div>`;
+    } finally {
+      submit.disabled = false;
+    }
+  }
+
+  initAddJobForm() {
+    const form = document.getElementById("add-job-form");
+    const dataInput = document.getElementById("add-job-data");
+
+    document
+      .getElementById("add-job-btn")
+      .addEventListener("click", () => this.showAddJobModal());
+
+    // Validate the payload as JSON while typing
+    dataInput.addEventListener("input", () => this.parseAddJobData());
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.submitAddJob();
+    });
+  }
+
+  // Parse the data textarea, showing the JSON error inline. Returns undefined if invalid.
+  parseAddJobData() {
+    const errorEl = document.getElementById("add-job-data-error");
+    const submitBtn = document.getElementById("add-job-submit");
+
+    try {
+      const data = JSON.parse(document.getElementById("add-job-data").value || "{}");
+      if (data === null || typeof data !== "object") {
+        throw new Error("Data must be a JSON object or array");
+      }
+      errorEl.textContent = "";
+      submitBtn.disabled = false;
+      return data;
+    } catch (error) {
+      errorEl.textContent = `Invalid JSON: ${error.message}`;
+      submitBtn.disabled = true;
+      return undefined;
+    }
+  }
+
+  async submitAddJob() {
+    const queueName = this.selectedQueue;
+    const result = document.getElementById("add-job-result");
+    const data = this.parseAddJobData();
+    if (data === undefined) return;
+
+    const value = (id) => document.getElementById(id).value.trim();
+    const backoffType = value("add-job-backoff-type");
+    const opts = {
+      delay: value("add-job-delay"),
+      priority: value("add-job-priority"),
+      attempts: value("add-job-attempts"),
+      jobId: value("add-job-id"),
+      removeOnComplete: document.getElementById("add-job-remove-on-complete").checked || undefined,
+    };
+    if (backoffType) {
+      opts.backoff = { type: backoffType, delay: value("add-job-backoff-delay") || 0 };
+    }
+
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/jobs`),
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ name: value("add-job-name") || undefined, data, opts }),
+        }
+      );
+      const created = await response.json();
+      if (!response.ok) {
+        throw new Error(created.error || `HTTP ${response.status}`);
+      }
+
+      const jobId = created.job.id;
+      result.innerHTML = `
+        <div class="clean-summary">
+          ✅ Job <a href="#queues" class="add-job-link" data-job-id="${this.escapeHtml(jobId)}">${this.escapeHtml(jobId)}</a> added to ${this.escapeHtml(queueName)}.
+        </div>
+      `;
+      result.querySelector(".add-job-link").addEventListener("click", (event) => {
+        event.preventDefault();
+        document.getElementById("add-job-modal").style.display = "none";
+        this.showJobDetail(queueName, jobId);
+      });
+      this.loadJobs(queueName, this.selectedJobStatus);
+    } catch (error) {
+      console.error("Error adding job:", error);
+      result.innerHTML = `<div class="error-message">Could not add job: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  async toggleQueuePause(queue) {
+    const action = queue.paused ? "resume" : "pause";
+    if (
+      action === "pause" &&
+      !confirm(`Pause ${queue.name}? Workers will stop picking up new jobs until it is resumed.`)
+    ) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queue.name)}/${action}`),
+        { method: "POST" }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      this.updateQueueRow(queue.name, { paused: result.paused });
+    } catch (error) {
+      console.error(`Error trying to ${action} queue:`, error);
+      alert(`Could not ${action} ${queue.name}: ${error.message}`);
+    }
+  }
+
+  startAutoLoadTimer() {
+    // Clear any existing timer
+    if (this.autoLoadTimer) {
+      clearInterval(this.autoLoadTimer);
+    }
+
+    // Don't start timer if all queues are loaded
+    if (this.currentLoadedCount >= this.allQueues.length) {
+      return;
+    }
+
+    // Start countdown for next batch
+    let countdown = 5; // seconds
+    const countdownElement = document.getElementById("countdown");
+    
+    if (countdownElement) {
+      countdownElement.textContent = countdown;
+    }
+
+    this.autoLoadTimer = setInterval(() => {
+      countdown--;
+      
+      if (countdownElement) {
+        countdownElement.textContent = countdown;
+      }
+      
+      if (countdown <= 0) {
+        clearInterval(this.autoLoadTimer);
+        this.loadNextBatch();
+      }
+    }, 1000);
+  }
+
+  stopAutoLoadTimer() {
+    if (this.autoLoadTimer) {
+      clearInterval(this.autoLoadTimer);
+      this.autoLoadTimer = null;
+    }
+
+    const loadingIndicator = document.querySelector(".auto-loading-indicator");
+    if (loadingIndicator) {
+      loadingIndicator.style.display = "none";
+    }
+  }
+
+  createTableHeader() {
+    return `
+      <thead>
+        <tr style="background-color: #f7fafc; border-bottom: 2px solid #e2e8f0;">
+          <th style="padding: 12px; text-align: left; font-weight: 600; color: #4a5568; cursor: pointer;" 
+              onclick="dashboard.sortTable('name')">
+            Queue Name ${this.getSortIcon('name')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
+              onclick="dashboard.sortTable('waiting')">
+            WAITING ${this.getSortIcon('waiting')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
+              onclick="dashboard.sortTable('active')">
+            ACTIVE ${this.getSortIcon('active')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
+              onclick="dashboard.sortTable('completed')">
+            COMPLETED ${this.getSortIcon('completed')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
+              onclick="dashboard.sortTable('failed')">
+            FAILED ${this.getSortIcon('failed')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
+              onclick="dashboard.sortTable('delayed')">
+            DELAYED ${this.getSortIcon('delayed')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
+              onclick="dashboard.sortTable('total')">
+            TOTAL ${this.getSortIcon('total')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568; cursor: pointer;"
+              onclick="dashboard.sortTable('memory')">
+            MEMORY (MB) ${this.getSortIcon('memory')}
+          </th>
+          <th style="padding: 12px; text-align: center; font-weight: 600; color: #4a5568;">
+            STATUS
+          </th>
+        </tr>
+      </thead>
+    `;
+  }
+
+  createQueueCard(queue) {
+    const hasJobs = queue.waiting + queue.active + queue.completed + queue.failed + queue.delayed > 0;
+    const memoryUsage = this.calculateQueueMemory(queue);
+    
+    // Helper function to format cell content with conditional styling and data attributes for responsive view
+    const formatCell = (value, label, isHighlight = false) => {
+      const highlightStyle = isHighlight ? 'font-weight: 600; color: #2d3748;' : 'color: #4a5568;';
+      return `
+        <td 
+          data-label="${label}" 
+          style="padding: 12px; text-align: center; ${highlightStyle} border-bottom: 1px solid #edf2f7;"
+        >
+          ${value || 0}
+        </td>`;
+    };
+    
+    return `
+      <tr 
+        class="queue-row" 
+        data-queue-name="${queue.name}" 
+        style="transition: background-color 0.2s ease;"
+        onmouseover="this.style.backgroundColor='#f8fafc'" 
+        onmouseout="this.style.backgroundColor='#ffffff'"
+      >
+        <td 
+          data-label="Queue Name"
+          style="padding: 12px; font-weight: 500; color: #2d3748; border-bottom: 1px solid #edf2f7;"
+        >
+          <div style="display: flex; align-items: center; justify-content: space-between;">
+            <span>
+              ${this.escapeHtml(queue.name)}
+              ${this.createLibraryBadge(queue.library)}
+              ${
+                queue.repeatable > 0
+                  ? `<button class="queue-repeat-badge" title="${queue.repeatable} repeatable job schedule(s)">🔁 ${queue.repeatable}</button>`
+                  : ''
+              }
+            </span>
+            <span class="queue-row-actions">
+              <button class="queue-jobs-btn" title="Browse jobs">📋 Jobs</button>
+              <button class="queue-clean-btn" title="Clean old jobs">🧹 Clean</button>
+            </span>
+          </div>
+        </td>
+        ${formatCell(queue.waiting, 'WAITING')}
+        ${formatCell(queue.active, 'ACTIVE')}
+        ${formatCell(queue.completed, 'COMPLETED')}
+        ${formatCell(queue.failed, 'FAILED')}
+        ${formatCell(queue.delayed, 'DELAYED')}
+        ${formatCell(queue.total, 'TOTAL', true)}
+        <td 
+          data-label="MEMORY (MB)" 
+          style="padding: 12px; text-align: center; color: #4a5568; border-bottom: 1px solid #edf2f7;"
+        >
+          ${this.formatMemory(memoryUsage)}
+        </td>
+        <td 
+          data-label="STATUS"
+          style="padding: 12px; text-align: center; border-bottom: 1px solid #edf2f7;"
+        >
+          <div class="queue-status-cell">
+            ${
+              queue.paused
+                ? `<span class="queue-paused-badge" title="Queue is paused">⏸️ PAUSED</span>`
+                : `<span 
+                    class="status-indicator" 
+                    data-active="${hasJobs}"
+                    style="display: inline-block; width: 12px; height: 12px; border-radius: 50%; background-color: ${hasJobs ? '#38a169' : '#a0aec0'}; ${hasJobs ? 'animation: pulse 1.5s infinite;' : ''}"
+                    title="${hasJobs ? 'Queue is active' : 'Queue is idle'}"
+                  ></span>`
+            }
+            <button class="queue-pause-btn" title="${queue.paused ? 'Resume queue' : 'Pause queue'}">
+              ${queue.paused ? '▶️ Resume' : '⏸️ Pause'}
+            </button>
+          </div>
+        </td>
+      </tr>`;
+  }
+  
+  closeTable() {
+    return `
+        </tbody>
+      </table>
+    `;
+  }
+
+  // Format bytes to MB with 2 decimal places
+  formatMemory(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(2);
+  }
+
+  // Calculate memory usage for a queue
+  calculateQueueMemory(queue) {
+    // This is a simplified calculation - adjust based on your actual memory usage
+    const jobSize = 1024; // Approx 1KB per job
+    return (queue.total || 0) * jobSize;
+  }
+
+  // Get sort icon based on current sort field and direction
+  getSortIcon(field) {
+    if (this.sortField !== field) return '↕️';
+    return this.sortDirection === 'asc' ? '⬆️' : '⬇️';
+  }
+
+  // Sort table data
+  sortTable(field) {
+    if (this.sortField === field) {
+      // Toggle sort direction if same field is clicked
+      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+      // Default to ascending for new field
+      this.sortDirection = 'asc';
+      this.sortField = field;
+    }
+
+    // Sort the queues array
+    this.allQueues.sort((a, b) => {
+      let valueA, valueB;
+
+      if (field === 'memory') {
+        valueA = this.calculateQueueMemory(a);
         valueB = this.calculateQueueMemory(b);
       } else if (field === 'name') {
         valueA = a[field] || '';
@@ -921,7 +2038,7 @@ class BullDashboard {
     try {
       // Fetch queue keys from server
       const response = await fetch(
-        `/api/queues/${encodeURIComponent(queueName)}/keys`
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/keys`)
       );
 
       if (!response.ok) {
@@ -1002,31 +2119,135 @@ class BullDashboard {
   }
 
   initModal() {
-    const modal = document.getElementById("queue-keys-modal");
-    const closeBtn = document.getElementById("close-modal");
+    document.querySelectorAll(".modal").forEach((modal) => {
+      // Close modal when clicking the X button
+      modal.querySelector(".close-modal").addEventListener("click", () => {
+        modal.style.display = "none";
+      });
 
-    // Close modal when clicking the X button
-    closeBtn.addEventListener("click", () => {
-      modal.style.display = "none";
+      // Close modal when clicking outside the modal content
+      modal.addEventListener("click", (event) => {
+        if (event.target === modal) {
+          modal.style.display = "none";
+        }
+      });
     });
 
-    // Close modal when clicking outside the modal content
-    modal.addEventListener("click", (event) => {
-      if (event.target === modal) {
-        modal.style.display = "none";
+    // Close any open modal when pressing Escape key
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        document.querySelectorAll(".modal").forEach((modal) => {
+          modal.style.display = "none";
+        });
       }
     });
+  }
 
-    // Close modal when pressing Escape key
-    document.addEventListener("keydown", (event) => {
-      if (event.key === "Escape" && modal.style.display === "block") {
-        modal.style.display = "none";
+  showQueueJobs(queueName) {
+    this.selectedQueue = queueName;
+    this.subscribeToQueue(queueName);
+
+    const details = document.getElementById("queue-details");
+    const queue = this.allQueues?.find((q) => q.name === queueName);
+    document.getElementById("selected-queue-name").textContent = queueName;
+    document.getElementById("selected-queue-library").innerHTML = this.createLibraryBadge(queue?.library);
+    details.style.display = "block";
+    this.resetJobSearch();
+
+    this.selectJobStatus(this.selectedJobStatus);
+    details.scrollIntoView({ behavior: "smooth" });
+  }
+
+  // Receive live job events for one queue at a time
+  subscribeToQueue(queueName) {
+    if (this.subscribedQueue === queueName) return;
+
+    if (this.subscribedQueue) {
+      this.socket.emit("unsubscribeQueue", this.subscribedQueue);
+    }
+    this.subscribedQueue = queueName;
+    this.socket.emit("subscribeQueue", queueName);
+  }
+
+  // Apply a batch of job events to the queue row and the open job list
+  applyJobEvents({ queueName, events, dropped }) {
+    const queue = this.allQueues?.find((q) => q.name === queueName);
+    if (queue) {
+      const changes = {};
+      events.forEach((event) => {
+        Object.entries(JOB_EVENT_COUNT_CHANGES[event.type] || {}).forEach(
+          ([field, delta]) => {
+            changes[field] = Math.max(0, (changes[field] ?? queue[field] ?? 0) + delta);
+          }
+        );
+      });
+      if (Object.keys(changes).length > 0) {
+        const counts = { ...queue, ...changes };
+        changes.total =
+          counts.waiting + counts.active + counts.completed + counts.failed + counts.delayed;
+        this.updateQueueRow(queueName, changes);
+      }
+    }
+
+    if (queueName !== this.selectedQueue) return;
+
+    const container = document.getElementById("jobs-container");
+    const findJobItem = (jobId) =>
+      Array.from(container.querySelectorAll(".job-item")).find(
+        (item) => item.dataset.jobId === jobId
+      );
+    let hasNewEntries = dropped > 0;
+
+    events.forEach((event) => {
+      if (event.type === "progress") {
+        const progress = findJobItem(event.jobId)?.querySelector(".job-progress");
+        if (progress) {
+          progress.innerHTML = `<strong>Progress:</strong> ${this.formatProgress(event.value)}`;
+          progress.style.display = "";
+        }
+        return;
+      }
+
+      // Finished or stalled jobs leave the active list
+      if (this.selectedJobStatus === "active") {
+        findJobItem(event.jobId)?.remove();
+      }
+      if (JOB_EVENT_NEW_ENTRIES[event.type] === this.selectedJobStatus) {
+        hasNewEntries = true;
       }
     });
+
+    if (hasNewEntries) {
+      this.scheduleJobsReload();
+    }
+  }
+
+  // Reload the first page of newest jobs at most every 2 seconds.
+  // Pages further back and lists with selected jobs are left alone.
+  scheduleJobsReload() {
+    if (this.jobsReloadTimer || this.jobsStart !== 0 || this.selectedJobIds.size > 0) {
+      return;
+    }
+
+    this.jobsReloadTimer = setTimeout(() => {
+      this.jobsReloadTimer = null;
+      if (this.selectedQueue && this.jobsStart === 0 && this.selectedJobIds.size === 0) {
+        this.loadJobs(this.selectedQueue, this.selectedJobStatus);
+      }
+    }, 2000);
+  }
+
+  formatProgress(progress) {
+    return typeof progress === "number"
+      ? `${progress}%`
+      : this.escapeHtml(JSON.stringify(progress));
   }
 
   selectJobStatus(status) {
     this.selectedJobStatus = status;
+    this.jobsStart = 0;
+    this.jobsOrder = null;
+    this.failedGroupsView = false;
 
     // Update tab appearance
     document.querySelectorAll(".tab-btn").forEach((btn) => {
@@ -1040,23 +2261,308 @@ class BullDashboard {
 
   async loadJobs(queueName, status) {
     const container = document.getElementById("jobs-container");
+    const pagination = document.getElementById("jobs-pagination");
     container.innerHTML = '<div class="loading">Loading jobs...</div>';
+    this.selectedJobIds.clear();
+    this.renderJobsToolbar(status);
+
+    if (status === "failed" && this.failedGroupsView) {
+      pagination.innerHTML = "";
+      this.loadFailedGroups(queueName);
+      return;
+    }
 
     try {
-      const response = await fetch(`/api/queues/${queueName}/jobs/${status}`);
-      const jobs = await response.json();
+      const params = new URLSearchParams({
+        start: this.jobsStart,
+        limit: this.jobsLimit,
+      });
+      if (this.jobsOrder) {
+        params.set("order", this.jobsOrder);
+      }
 
-      if (jobs.length === 0) {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/jobs/${status}?${params}`)
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const page = await response.json();
+
+      this.jobsOrder = page.order;
+      this.renderJobsPagination(page);
+
+      if (page.jobs.length === 0) {
         container.innerHTML = `<div class="loading">No ${status} jobs found.</div>`;
         return;
       }
 
-      container.innerHTML = jobs.map((job) => this.createJobItem(job)).join("");
+      container.innerHTML = page.jobs.map((job) => this.createJobItem(job)).join("");
+      container.querySelectorAll(".job-detail-btn").forEach((btn) => {
+        btn.addEventListener("click", () => {
+          this.showJobDetail(this.selectedQueue, btn.dataset.jobId);
+        });
+      });
+      container.querySelectorAll(".job-action-btn").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.runJobAction(btn.dataset.jobId, btn.dataset.action)
+        );
+      });
+      container.querySelectorAll(".job-select").forEach((checkbox) => {
+        checkbox.addEventListener("change", () => {
+          if (checkbox.checked) {
+            this.selectedJobIds.add(checkbox.dataset.jobId);
+          } else {
+            this.selectedJobIds.delete(checkbox.dataset.jobId);
+          }
+          this.updateSelectedJobsCount();
+        });
+      });
     } catch (error) {
       console.error("Error loading jobs:", error);
       container.innerHTML =
         '<div class="error-message">Failed to load jobs</div>';
+      pagination.innerHTML = "";
+    }
+  }
+
+  renderJobsToolbar(status) {
+    const toolbar = document.getElementById("jobs-toolbar");
+    const exportUrl = (format) =>
+      this.apiUrl(`/queues/${encodeURIComponent(this.selectedQueue)}/export/${status}?format=${format}`);
+    const exportLinks = `
+      <a class="btn btn-secondary" href="${exportUrl("ndjson")}" download title="Download every ${status} job as NDJSON">⬇️ NDJSON</a>
+      <a class="btn btn-secondary" href="${exportUrl("csv")}" download title="Download every ${status} job as CSV">⬇️ CSV</a>
+    `;
+
+    if (status !== "failed") {
+      toolbar.innerHTML = `
+        ${exportLinks}
+        <span class="jobs-action-status" id="jobs-action-status"></span>
+      `;
+      return;
+    }
+
+    toolbar.innerHTML = `
+      ${exportLinks}
+      ${this.failedGroupsView ? "" : '<button class="btn btn-primary" id="retry-selected-btn" disabled>🔁 Retry selected (<span id="selected-jobs-count">0</span>)</button>'}
+      <button class="btn btn-secondary" id="retry-all-btn">🔁 Retry all failed</button>
+      <button class="btn btn-secondary" id="failed-groups-btn">${this.failedGroupsView ? "📋 Show jobs" : "🧩 Group by error"}</button>
+      <span class="jobs-action-status" id="jobs-action-status"></span>
+    `;
+
+    document
+      .getElementById("retry-selected-btn")
+      ?.addEventListener("click", () => this.retrySelectedJobs());
+    document
+      .getElementById("retry-all-btn")
+      .addEventListener("click", () => this.retryAllFailedJobs());
+    document.getElementById("failed-groups-btn").addEventListener("click", () => {
+      this.failedGroupsView = !this.failedGroupsView;
+      this.jobsStart = 0;
+      this.loadJobs(this.selectedQueue, "failed");
+    });
+  }
+
+  // Failed jobs clustered by normalized failure reason and top stack frame
+  async loadFailedGroups(queueName) {
+    const container = document.getElementById("jobs-container");
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/failed-groups`)
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      if (queueName !== this.selectedQueue || !this.failedGroupsView) return;
+
+      if (result.groups.length === 0) {
+        container.innerHTML = '<div class="loading">No failed jobs found.</div>';
+        return;
+      }
+
+      const formatDate = (value) =>
+        value ? new Date(value).toLocaleString() : "—";
+      const note = result.truncated
+        ? `<div class="clean-summary">Grouped the ${result.grouped.toLocaleString()} most recent of ${result.total.toLocaleString()} failed jobs.</div>`
+        : "";
+
+      container.innerHTML = `
+        ${note}
+        <table class="repeatable-table failed-groups-table">
+          <thead>
+            <tr><th>Count</th><th>Error</th><th>First seen</th><th>Last seen</th><th>Sample</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${result.groups
+              .map(
+                (group) => `
+              <tr>
+                <td><strong>${group.count.toLocaleString()}</strong></td>
+                <td>
+                  <div class="failed-group-reason">${this.escapeHtml(group.reason)}</div>
+                  ${group.frame ? `<code class="failed-group-frame">${this.escapeHtml(group.frame)}</code>` : ""}
+                </td>
+                <td>${formatDate(group.firstSeen)}</td>
+                <td>${formatDate(group.lastSeen)}</td>
+                <td><button class="btn btn-secondary job-detail-btn" data-job-id="${this.escapeHtml(group.sample.id)}" title="${this.escapeHtml(group.sample.failedReason || "")}">🔍 ${this.escapeHtml(group.sample.id)}</button></td>
+                <td class="failed-group-actions">
+                  <button class="btn btn-primary failed-group-action-btn" data-signature="${group.signature}" data-action="retry" data-count="${group.count}">🔁 Retry</button>
+                  <button class="btn btn-secondary failed-group-action-btn" data-signature="${group.signature}" data-action="remove" data-count="${group.count}">🗑️ Remove</button>
+                </td>
+              </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      `;
+
+      container.querySelectorAll(".job-detail-btn").forEach((btn) => {
+        btn.addEventListener("click", () => this.showJobDetail(queueName, btn.dataset.jobId));
+      });
+      container.querySelectorAll(".failed-group-action-btn").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.runFailedGroupAction(btn.dataset.signature, btn.dataset.action, Number(btn.dataset.count))
+        );
+      });
+    } catch (error) {
+      console.error("Error loading failed job groups:", error);
+      container.innerHTML = `<div class="error-message">Failed to group failed jobs: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  async runFailedGroupAction(signature, action, count) {
+    const queueName = this.selectedQueue;
+    const verb = action === "retry" ? "Retry" : "Permanently remove";
+    if (!confirm(`${verb} all ${count.toLocaleString()} failed jobs with this error in ${queueName}?`)) {
+      return;
+    }
+
+    try {
+      const operation = await this.postJobAction(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/failed-groups/${signature}/${action}`)
+      );
+      this.bulkOperations.add(operation.operationId);
+      this.showJobsStatus(`${verb === "Retry" ? "Retrying" : "Removing"} ${operation.total} failed jobs...`);
+    } catch (error) {
+      console.error(`Error running ${action} on failed group:`, error);
+      this.showJobsStatus(`Could not ${action} group: ${error.message}`, true);
+    }
+  }
+
+  updateSelectedJobsCount() {
+    const count = document.getElementById("selected-jobs-count");
+    const button = document.getElementById("retry-selected-btn");
+    if (count) count.textContent = this.selectedJobIds.size;
+    if (button) button.disabled = this.selectedJobIds.size === 0;
+  }
+
+  showJobsStatus(message, isError = false) {
+    const status = document.getElementById("jobs-action-status");
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle("error", isError);
+  }
+
+  // POST a job action and return the parsed JSON, throwing the API error message
+  async postJobAction(url, body) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+  }
+
+  async runJobAction(jobId, action) {
+    const queueName = this.selectedQueue;
+    const info = JOB_ACTION_INFO[action];
+    if (info.confirm && !confirm(info.confirm.replace("{id}", jobId))) {
+      return;
+    }
+
+    try {
+      await this.postJobAction(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/jobs/id/${encodeURIComponent(jobId)}/${action}`)
+      );
+      this.showJobsStatus(`✅ Job ${jobId} ${info.done}`);
+      this.loadJobs(queueName, this.selectedJobStatus);
+    } catch (error) {
+      console.error(`Error running ${action} on job:`, error);
+      this.showJobsStatus(`Could not ${action} job ${jobId}: ${error.message}`, true);
+    }
+  }
+
+  async retrySelectedJobs() {
+    const jobIds = Array.from(this.selectedJobIds);
+    if (jobIds.length === 0) return;
+
+    try {
+      const operation = await this.postJobAction(
+        this.apiUrl(`/queues/${encodeURIComponent(this.selectedQueue)}/jobs/retry`),
+        { jobIds }
+      );
+      this.bulkOperations.add(operation.operationId);
+      this.showJobsStatus(`Retrying ${operation.total} jobs...`);
+    } catch (error) {
+      console.error("Error retrying selected jobs:", error);
+      this.showJobsStatus(`Retry failed: ${error.message}`, true);
+    }
+  }
+
+  async retryAllFailedJobs() {
+    const queueName = this.selectedQueue;
+    if (!confirm(`Retry ALL failed jobs in ${queueName}?`)) {
+      return;
     }
+
+    try {
+      const operation = await this.postJobAction(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/jobs/retry-all`)
+      );
+      this.bulkOperations.add(operation.operationId);
+      this.showJobsStatus(`Retrying ${operation.total} failed jobs...`);
+    } catch (error) {
+      console.error("Error retrying all failed jobs:", error);
+      this.showJobsStatus(`Retry all failed: ${error.message}`, true);
+    }
+  }
+
+  renderJobsPagination(page) {
+    const pagination = document.getElementById("jobs-pagination");
+    const from = page.total === 0 ? 0 : page.start + 1;
+    const to = Math.min(page.start + page.jobs.length, page.total);
+    const hasPrev = page.start > 0;
+    const hasNext = page.start + page.limit < page.total;
+
+    pagination.innerHTML = `
+      <button class="btn btn-secondary" id="jobs-prev" ${hasPrev ? "" : "disabled"}>⬅️ Prev</button>
+      <span class="jobs-range">${from.toLocaleString()}–${to.toLocaleString()} of ${page.total.toLocaleString()}</span>
+      <button class="btn btn-secondary" id="jobs-next" ${hasNext ? "" : "disabled"}>Next ➡️</button>
+      <select class="select" id="jobs-order" title="Sort order">
+        <option value="desc" ${page.order === "desc" ? "selected" : ""}>Newest first</option>
+        <option value="asc" ${page.order === "asc" ? "selected" : ""}>Oldest first</option>
+      </select>
+    `;
+
+    document.getElementById("jobs-prev").addEventListener("click", () => {
+      this.jobsStart = Math.max(0, this.jobsStart - this.jobsLimit);
+      this.loadJobs(this.selectedQueue, this.selectedJobStatus);
+    });
+    document.getElementById("jobs-next").addEventListener("click", () => {
+      this.jobsStart += this.jobsLimit;
+      this.loadJobs(this.selectedQueue, this.selectedJobStatus);
+    });
+    document.getElementById("jobs-order").addEventListener("change", (e) => {
+      this.jobsOrder = e.target.value;
+      this.jobsStart = 0;
+      this.loadJobs(this.selectedQueue, this.selectedJobStatus);
+    });
   }
 
   createJobItem(job) {
@@ -1069,23 +2575,37 @@ class BullDashboard {
     const finishedOn = job.finishedOn
       ? new Date(job.finishedOn).toLocaleString()
       : "N/A";
+    const isFailed = this.selectedJobStatus === "failed";
+    const actionButtons = (JOB_CARD_ACTIONS[this.selectedJobStatus] || [])
+      .map(
+        (action) =>
+          `<button class="btn ${action === "remove" ? "btn-danger" : "btn-primary"} job-action-btn" data-action="${action}" data-job-id="${this.escapeHtml(job.id)}">${JOB_ACTION_INFO[action].label}</button>`
+      )
+      .join("");
 
     return `
-            <div class="job-item">
+            <div class="job-item" data-job-id="${this.escapeHtml(job.id)}">
                 <div class="job-header">
-                    <div class="job-id">Job ID: ${job.id}</div>
+                    <div class="job-id">Job ID: ${this.escapeHtml(job.id)}</div>
                     <div class="job-timestamp">Created: ${timestamp}</div>
                 </div>
+                <div class="job-actions">
+                    ${
+                      isFailed
+                        ? `<input type="checkbox" class="job-select" data-job-id="${this.escapeHtml(job.id)}" title="Select for bulk retry" />`
+                        : ""
+                    }
+                    <button class="btn btn-secondary job-detail-btn" data-job-id="${this.escapeHtml(job.id)}">🔍 Details</button>
+                    ${actionButtons}
+                </div>
                 ${
                   job.name
-                    ? `<div><strong>Name:</strong> ${job.name}</div>`
-                    : ""
-                }
-                ${
-                  job.progress
-                    ? `<div><strong>Progress:</strong> ${job.progress}%</div>`
+                    ? `<div><strong>Name:</strong> ${this.escapeHtml(job.name)}</div>`
                     : ""
                 }
+                <div class="job-progress" style="${job.progress ? "" : "display: none"}">
+                    ${job.progress ? `<strong>Progress:</strong> ${this.formatProgress(job.progress)}` : ""}
+                </div>
                 ${
                   job.processedOn
                     ? `<div><strong>Processed:</strong> ${processedOn}</div>`
@@ -1098,15 +2618,96 @@ class BullDashboard {
                 }
                 ${
                   job.failedReason
-                    ? `<div class="error-message"><strong>Failed:</strong> ${job.failedReason}</div>`
+                    ? `<div class="error-message"><strong>Failed:</strong> ${this.escapeHtml(job.failedReason)}</div>`
                     : ""
                 }
                 <div><strong>Data:</strong></div>
-                <div class="job-data">${JSON.stringify(job.data, null, 2)}</div>
+                <div class="job-data">${this.escapeHtml(JSON.stringify(job.data, null, 2))}</div>
             </div>
         `;
   }
 
+  async showJobDetail(queueName, jobId) {
+    const modal = document.getElementById("job-detail-modal");
+    const container = document.getElementById("job-detail-container");
+
+    document.getElementById("job-detail-id").textContent = `${jobId} (${queueName})`;
+    container.innerHTML = '<div class="loading">Loading job...</div>';
+    modal.style.display = "block";
+
+    try {
+      const response = await fetch(
+        this.apiUrl(`/queues/${encodeURIComponent(queueName)}/jobs/id/${encodeURIComponent(jobId)}`)
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const job = await response.json();
+      container.innerHTML = this.createJobDetail(job);
+    } catch (error) {
+      console.error("Error loading job detail:", error);
+      container.innerHTML = `
+        <div class="loading" style="color: #e53e3e;">
+          Error loading job: ${this.escapeHtml(error.message)}
+        </div>
+      `;
+    }
+  }
+
+  createJobDetail(job) {
+    const formatTime = (value) =>
+      value ? new Date(value).toLocaleString() : "N/A";
+    const formatJson = (value) =>
+      this.escapeHtml(JSON.stringify(value, null, 2));
+    const maxAttempts = job.opts?.attempts || 1;
+
+    // Newest attempt first, numbered by attempt
+    const stacktraces = job.stacktrace
+      .map((trace, index) => ({ trace, attempt: index + 1 }))
+      .reverse()
+      .map(
+        ({ trace, attempt }) => `
+          <div class="job-detail-subtitle">Attempt ${attempt}</div>
+          <pre class="job-detail-pre error">${this.escapeHtml(trace)}</pre>
+        `
+      )
+      .join("");
+
+    const logs = job.logs
+      .map((line) => `<div class="job-log-line">${this.escapeHtml(line)}</div>`)
+      .join("");
+
+    return `
+      <div class="job-detail-grid">
+        <div><strong>State:</strong> <span class="job-state job-state-${this.escapeHtml(job.state)}">${this.escapeHtml(job.state)}</span></div>
+        <div><strong>Name:</strong> ${this.escapeHtml(job.name || "N/A")}</div>
+        <div><strong>Attempts:</strong> ${job.attemptsMade} / ${maxAttempts}</div>
+        <div><strong>Progress:</strong> ${this.escapeHtml(JSON.stringify(job.progress))}</div>
+        <div><strong>Delay:</strong> ${job.delay ? `${job.delay} ms` : "None"}</div>
+        <div><strong>Created:</strong> ${formatTime(job.timestamp)}</div>
+        <div><strong>Processed:</strong> ${formatTime(job.processedOn)}</div>
+        <div><strong>Finished:</strong> ${formatTime(job.finishedOn)}</div>
+      </div>
+      ${
+        job.failedReason
+          ? `<div class="error-message"><strong>Failed:</strong> ${this.escapeHtml(job.failedReason)}</div>`
+          : ""
+      }
+      <h3 class="job-detail-section">Data</h3>
+      <pre class="job-detail-pre">${formatJson(job.data)}</pre>
+      <h3 class="job-detail-section">Return Value</h3>
+      <pre class="job-detail-pre">${formatJson(job.returnvalue)}</pre>
+      <h3 class="job-detail-section">Options</h3>
+      <pre class="job-detail-pre">${formatJson(job.opts)}</pre>
+      <h3 class="job-detail-section">Stack Traces (${job.stacktrace.length})</h3>
+      ${stacktraces || '<div class="loading">No stack traces recorded.</div>'}
+      <h3 class="job-detail-section">Logs (${job.logCount})</h3>
+      ${logs ? `<div class="job-logs">${logs}</div>` : '<div class="loading">No logs recorded.</div>'}
+    `;
+  }
+
   initCharts() {
     try {
       // Initialize CPU chart
@@ -1179,19 +2780,73 @@ class BullDashboard {
       totalKeys.toLocaleString();
     document.getElementById("keys-size").textContent = `${keysSizeMB} MB`;
 
-    // Update charts with safe data
-    this.updateChart(
-      this.cpuChart,
-      metrics.cpu.history || [0],
-      "CPU Usage (%)",
-      "#4299e1"
-    );
-    this.updateChart(
-      this.memoryChart,
-      metrics.memory.history || [0],
-      "Memory Usage (%)",
-      "#38a169"
-    );
+    // Charts come from the stored history; new minute buckets are picked up
+    // every minute. The live in-memory history is a fallback until the first
+    // samples have been stored.
+    if (Date.now() - this.metricsHistoryLoadedAt > 60000) {
+      this.loadMetricsHistory();
+    }
+    if (!this.drawMetricsCharts()) {
+      this.updateChart(
+        this.cpuChart,
+        metrics.cpu.history || [0],
+        "CPU Usage (%)",
+        "#4299e1"
+      );
+      this.updateChart(
+        this.memoryChart,
+        metrics.memory.history || [0],
+        "Memory Usage (%)",
+        "#38a169"
+      );
+    }
+  }
+
+  initMetricsRange() {
+    const select = document.getElementById("metrics-range");
+    select?.addEventListener("change", () => {
+      this.metricsRange = parseInt(select.value);
+      this.loadMetricsHistory();
+    });
+  }
+
+  async loadMetricsHistory() {
+    this.metricsHistoryLoadedAt = Date.now();
+
+    try {
+      const to = Date.now();
+      const params = new URLSearchParams({
+        from: to - this.metricsRange,
+        to,
+        series: "redis:cpu,redis:memory",
+      });
+      const response = await fetch(this.apiUrl(`/metrics/history?${params}`));
+      const history = await response.json();
+      if (!response.ok) {
+        throw new Error(history.error || `HTTP ${response.status}`);
+      }
+
+      this.metricsHistory = history.series;
+      this.drawMetricsCharts();
+    } catch (error) {
+      console.error("Error loading metrics history:", error);
+    }
+  }
+
+  // Draw the CPU and memory charts from stored history, false if there is too little
+  drawMetricsCharts() {
+    const averages = (name) =>
+      (this.metricsHistory?.[name] || []).map((point) => point.avg);
+    const cpu = averages("redis:cpu");
+    const memory = averages("redis:memory");
+
+    if (cpu.length < 2 || !this.cpuChart || !this.memoryChart) {
+      return false;
+    }
+
+    this.updateChart(this.cpuChart, cpu, "CPU Usage (%)", "#4299e1");
+    this.updateChart(this.memoryChart, memory, "Memory Usage (%)", "#38a169");
+    return true;
   }
 
   updateChart(ctx, data, label, color) {
@@ -0,0 +1,57 @@
+// Login page: exchanges a username and password for a session cookie
+// and returns to the dashboard (and the tab in ?next=) on success.
+
+function dashboardUrl() {
+  const next = new URLSearchParams(window.location.search).get("next") || "";
+  // Only ever return to a tab of the dashboard itself
+  return next.startsWith("#") ? `/${next}` : "/";
+}
+
+async function checkSession() {
+  try {
+    const response = await fetch("/api/auth/me");
+    const result = await response.json();
+    if (response.ok) {
+      window.location.href = dashboardUrl();
+      return;
+    }
+    if (!result.methods.login) {
+      document.getElementById("login-note").textContent =
+        "No dashboard users are configured. Sign in through your proxy or use an API token.";
+    }
+  } catch (error) {
+    console.error("Error checking session:", error);
+  }
+}
+
+async function login(event) {
+  event.preventDefault();
+  const status = document.getElementById("login-status");
+  const submit = document.getElementById("login-submit");
+  status.classList.remove("error");
+  status.textContent = "";
+  submit.disabled = true;
+
+  try {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: document.getElementById("login-username").value,
+        password: document.getElementById("login-password").value,
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    window.location.href = dashboardUrl();
+  } catch (error) {
+    status.classList.add("error");
+    status.textContent = error.message;
+    submit.disabled = false;
+  }
+}
+
+document.getElementById("login-form").addEventListener("submit", login);
+checkSession();
@@ -1,61 +1,236 @@
 const express = require("express");
 const http = require("http");
 const socketIo = require("socket.io");
-const Redis = require("redis");
-const Bull = require("bull");
 const cors = require("cors");
 const path = require("path");
 require("dotenv").config();
+const {
+  createQueueRegistry,
+  globToRegExp,
+  parseList,
+} = require("./lib/queueRegistry");
+const { fetchJobCounts } = require("./lib/jobCounts");
+const { runInChunks, createOperationId } = require("./lib/bulkActions");
+const {
+  CLEAN_STATUSES,
+  previewClean,
+  cleanQueue,
+} = require("./lib/queueClean");
+const { parseJobOptions } = require("./lib/jobOptions");
+const { parseSearchQuery, searchJobs } = require("./lib/jobSearch");
+const {
+  EXPORT_FORMATS,
+  csvHeader,
+  formatRecord,
+  importJobs,
+  iterateJobs,
+  write,
+} = require("./lib/jobTransfer");
+const {
+  getGroupJobIds,
+  groupFailedJobs,
+  parseLimit: parseFailedGroupLimit,
+} = require("./lib/failureGroups");
+const { createJobEventRelay } = require("./lib/jobEvents");
+const { getJobErrorStatus } = require("./lib/queueAdapters");
+const {
+  createBroadcastScheduler,
+  emitInitialQueues,
+} = require("./lib/broadcastScheduler");
+const { createMetricsStore, RESOLUTIONS } = require("./lib/metricsHistory");
+const {
+  fetchQueueAnalytics,
+  MAX_WINDOW_MINUTES,
+} = require("./lib/queueAnalytics");
+const { loadAlertConfig, createAlertEngine } = require("./lib/alerts");
+const { createPrometheusExporter } = require("./lib/prometheus");
+const { loadAuthConfig, createAuth } = require("./lib/auth");
+const { createAuditLog } = require("./lib/auditLog");
+const {
+  loadConnectionConfig,
+  createConnection,
+  describeConnection,
+} = require("./lib/connections");
+const { describeRedisTarget } = require("./lib/redisFactory");
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"],
-  },
-});
+// Other origins allowed to call the API (CORS_ORIGINS); without any, only
+// the dashboard's own origin can, since the API runs on a session cookie
+const CORS_ORIGINS = parseList(process.env.CORS_ORIGINS);
+const corsOptions = {
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
+  methods: ["GET", "POST"],
+  credentials: true,
+};
+const io = socketIo(server, { cors: corsOptions });
 
 // Middleware
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
-// Redis configuration
-const redisConfig = {
-  host: process.env.REDIS_HOST || "localhost",
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  db: process.env.REDIS_DB || 0,
-  connectTimeout: 5000, // 5 second timeout
-  lazyConnect: true, // Don't connect immediately
-};
+// Named Redis connections (REDIS_CONNECTIONS_FILE), or one from the REDIS_* variables
+const connections = new Map(
+  loadConnectionConfig().map((config) => [
+    config.name,
+    createConnection(config),
+  ])
+);
+const defaultConnection = Array.from(connections.values()).find(
+  (connection) => connection.isDefault
+);
+
+// Socket.io room of the dashboards watching a connection
+function connectionRoom(connection) {
+  return `connection:${connection.name}`;
+}
+
+// Basic auth users, API tokens and proxy header (AUTH_* / AUTH_CONFIG_FILE)
+const auth = createAuth(loadAuthConfig());
+console.log(
+  auth.enabled
+    ? `Authentication enabled (${Object.keys(auth.methods)
+        .filter((method) => auth.methods[method])
+        .join(", ")})`
+    : "Authentication disabled: no AUTH_USERS, AUTH_TOKENS or AUTH_PROXY_HEADER configured"
+);
+
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const retryAfter = auth.loginRetryAfter(req.socket.remoteAddress);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(Math.ceil(retryAfter / 1000)));
+    return res
+      .status(429)
+      .json({ error: "Too many failed logins, try again later" });
+  }
+  const session = auth.enabled
+    ? auth.login(username, password, req.socket.remoteAddress)
+    : null;
+  if (!session) {
+    console.warn(`Failed login for ${username || "unknown user"}`);
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
 
-// Redis client for queue discovery
-console.log("Creating Redis client with config:", redisConfig);
-const redisClient = Redis.createClient(redisConfig);
+  console.log(`User ${session.user.name} logged in`);
+  res.set("Set-Cookie", auth.sessionCookie(session.sessionId, req.secure));
+  res.json({ user: session.user });
+});
 
-// Store discovered queues
-const discoveredQueues = new Map();
-const queueStats = new Map();
+app.post("/api/auth/logout", (req, res) => {
+  auth.logout(auth.sessionIdFrom(req));
+  res.set("Set-Cookie", auth.clearSessionCookie());
+  res.json({ success: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  const user = auth.authenticate(req);
+  res.status(user ? 200 : 401).json({
+    enabled: auth.enabled,
+    methods: auth.methods,
+    user,
+  });
+});
+
+// Everything below needs a user; non GET routes need the operator role
+app.use(["/api", "/metrics"], auth.middleware);
+io.use(auth.socketMiddleware);
+
+// Append-only record of every mutating API call (AUDIT_LOG_FILE). Mounted
+// after auth, so calls it rejects never reach the file.
+const auditLog = createAuditLog({ defaultConnection: defaultConnection.name });
+auditLog.load();
+app.use("/api", auditLog.middleware);
+
+app.get("/api/connections", (req, res) => {
+  res.json({
+    connections: Array.from(connections.values()).map(describeConnection),
+  });
+});
+
+// Routes on `api` are served per Redis connection, at
+// /api/connections/:connection/... and at /api/... for the default one
+const api = express.Router();
+app.use(
+  "/api/connections/:connection",
+  (req, res, next) => {
+    const connection = connections.get(req.params.connection);
+    if (!connection) {
+      return res
+        .status(404)
+        .json({ error: `Unknown Redis connection ${req.params.connection}` });
+    }
+    req.redisConnection = connection;
+    next();
+  },
+  api
+);
+app.use(
+  "/api",
+  (req, res, next) => {
+    req.redisConnection = defaultConnection;
+    next();
+  },
+  api
+);
+
+// Configured queue names and include/exclude rules (QUEUE_CONFIG_FILE, QUEUE_*)
+const queueRegistry = createQueueRegistry();
+console.log("Queue registry config:", queueRegistry.config);
+
+// Whether a queue is one the dashboard lists: allowed by the registry and
+// either configured or found by discovery. Only these get queue instances.
+async function isKnownQueue(connection, queueName) {
+  if (!queueRegistry.isAllowed(queueName)) return false;
+  if (queueRegistry.isConfigured(queueName)) return true;
+
+  const { queueDiscovery } = connection;
+  // Runs the first scan if discovery has not finished one yet
+  await queueDiscovery.getQueues();
+  return queueDiscovery.hasQueue(queueName);
+}
 
-// Store Redis metrics history
-const redisMetricsHistory = {
-  cpu: [],
-  memory: [],
-  timestamps: [],
-};
 const MAX_HISTORY_POINTS = 50; // Keep last 50 data points
 
-// Store previous CPU values for rate calculation
-let previousCpuValues = {
-  used_cpu_sys: 0,
-  used_cpu_user: 0,
-  timestamp: Date.now(),
+// Persistent minute/hour/day history of Redis metrics and queue counts, one
+// store per connection. The default connection keeps METRICS_HISTORY_FILE.
+const METRICS_HISTORY_FILE =
+  process.env.METRICS_HISTORY_FILE ||
+  path.join(process.cwd(), "data", "metrics-history.json");
+const METRICS_SAMPLE_INTERVAL =
+  parseInt(process.env.METRICS_SAMPLE_INTERVAL || 0) || 15000;
+const METRICS_SAVE_INTERVAL = 60000;
+// Largest NDJSON body accepted by the import endpoint
+const IMPORT_MAX_BYTES =
+  parseInt(process.env.IMPORT_MAX_BYTES || 0) || 50 * 1024 * 1024;
+// How often each connection samples Redis INFO for the live metrics
+const REDIS_METRICS_INTERVAL =
+  parseInt(process.env.REDIS_METRICS_INTERVAL || 0) || 5000;
+
+// Returned by /api/redis-metrics until the first sample is taken
+const DEFAULT_REDIS_METRICS = {
+  cpu: { current: 0, history: [0, 0, 0] },
+  memory: { used: 0, max: 0, usagePercent: 0, history: [0, 0, 0] },
+  timestamps: [],
+  connectedClients: 0,
+  totalKeys: 0,
+  totalKeysSizeMB: 0,
+  keyspaceHits: 0,
+  keyspaceMisses: 0,
 };
-
-// Calculate CPU usage percentage from Redis INFO
-function calculateCpuUsagePercent(info) {
+const QUEUE_HISTORY_STATES = [
+  "waiting",
+  "active",
+  "completed",
+  "failed",
+  "delayed",
+];
+
+// Calculate CPU usage percentage from Redis INFO, against the connection's
+// previous CPU counters
+function calculateCpuUsagePercent(connection, info) {
+  const { previousCpuValues } = connection;
   const currentCpuSys = parseFloat(info.used_cpu_sys || 0);
   const currentCpuUser = parseFloat(info.used_cpu_user || 0);
   const currentTimestamp = Date.now();
@@ -78,7 +253,7 @@ function calculateCpuUsagePercent(info) {
   }
 
   // Update previous values
-  previousCpuValues = {
+  connection.previousCpuValues = {
     used_cpu_sys: currentCpuSys,
     used_cpu_user: currentCpuUser,
     timestamp: currentTimestamp,
@@ -87,54 +262,26 @@ function calculateCpuUsagePercent(info) {
   return cpuUsagePercent;
 }
 
-// Connect to Redis
-async function connectRedis() {
-  try {
-    console.log("Attempting to connect to Redis...");
-    await redisClient.connect();
-    console.log("Connected to Redis successfully");
-
-    // Add error handler to prevent crashes
-    redisClient.on("error", (error) => {
-      console.error("Redis client error:", error.message);
-      // Don't crash the application
-    });
-
-    return true;
-  } catch (error) {
-    console.error("Redis connection error:", error.message);
-    console.log(
-      "Dashboard will start without Redis connection. Connect Redis to see queue data."
-    );
-    return false;
-  }
-}
-
-// Discover Bull queues by scanning Redis keys
-async function discoverQueues() {
+// Discover Bull and BullMQ queues from the cached SCAN results
+async function discoverQueues(connection) {
+  const { redisClient, queueDiscovery } = connection;
   try {
-    if (!redisClient.isOpen) {
+    if (!redisClient.isReady) {
       console.log("Redis not connected, cannot discover queues");
       return [];
     }
 
-    const keys = await redisClient.keys("bull:*");
-    const queueNames = new Set();
+    const queues = await queueDiscovery.getQueues();
+    const queueNames = queues.map((queue) => queue.name);
 
-    // Extract queue names from Bull keys
-    keys.forEach((key) => {
-      const parts = key.split(":");
-      if (parts.length >= 2 && parts[0] === "bull") {
-        queueNames.add(parts[1]);
-      }
-    });
-
-    // Create Bull queue instances for discovered queues
+    // Create queue instances for discovered queues
     for (const queueName of queueNames) {
-      if (!discoveredQueues.has(queueName)) {
+      if (!queueRegistry.isAllowed(queueName)) {
+        continue;
+      }
+      if (!connection.hasQueue(queueName)) {
         try {
-          const queue = new Bull(queueName, { redis: redisConfig });
-          discoveredQueues.set(queueName, queue);
+          connection.getQueue(queueName);
           console.log(`Discovered queue: ${queueName}`);
         } catch (error) {
           console.error(
@@ -145,13 +292,206 @@ async function discoverQueues() {
       }
     }
 
-    return Array.from(queueNames);
+    return queueNames;
   } catch (error) {
     console.error("Error discovering queues:", error);
     return [];
   }
 }
 
+// Natural order of each job status; the list/set types behind a status come
+// from the queue's library adapter
+const JOB_STATUSES = {
+  waiting: { defaultOrder: "asc" },
+  active: { defaultOrder: "asc" },
+  completed: { defaultOrder: "desc" },
+  failed: { defaultOrder: "desc" },
+  delayed: { defaultOrder: "asc" },
+};
+const DEFAULT_JOBS_PAGE_SIZE = 20;
+const MAX_JOBS_PAGE_SIZE = 200;
+
+// One page of a status that spans several lists/sets (waiting is wait + paused
+// [+ prioritized]). The ranges of getJobs apply to each type separately, so the
+// page is laid across the types one after the other, each read from the page
+// offset minus the counts of the types before it. Resolves to { jobs, total }.
+async function getJobsPage(queue, types, start, limit, asc) {
+  const counts = await queue.getJobCounts(...types);
+  const jobs = [];
+  let offset = 0;
+
+  for (const type of types) {
+    const count = counts[type] || 0;
+    const from = Math.max(0, start - offset);
+    const remaining = limit - jobs.length;
+    if (remaining > 0 && from < count) {
+      const found = await queue.getJobs(
+        [type],
+        from,
+        from + remaining - 1,
+        asc
+      );
+      // Jobs removed since the count come back as null
+      jobs.push(...found.filter(Boolean).slice(0, remaining));
+    }
+    offset += count;
+  }
+
+  return { jobs, total: offset };
+}
+
+// Fields shown for a job in the job browser
+function serializeJob(job, adapter) {
+  return {
+    id: job.id,
+    name: job.name,
+    data: job.data,
+    opts: job.opts,
+    progress: adapter.getProgress(job),
+    timestamp: job.timestamp,
+    processedOn: job.processedOn,
+    finishedOn: job.finishedOn,
+    failedReason: job.failedReason,
+  };
+}
+
+// Exported fields: the job browser's plus attempts and per-attempt stack traces
+function serializeExportedJob(job, adapter) {
+  return {
+    ...serializeJob(job, adapter),
+    attemptsMade: job.attemptsMade,
+    stacktrace: job.stacktrace || [],
+  };
+}
+
+// Errors from job actions carry an HTTP status for the API response
+function jobActionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Map Bull's and BullMQ's job action failures to HTTP statuses
+function getJobActionStatus(error) {
+  return error.status || getJobErrorStatus(error) || 500;
+}
+
+// Load a job or fail with a 404
+async function getJobOrFail(queue, jobId) {
+  const job = await queue.getJob(jobId);
+  if (!job) {
+    throw jobActionError(`Job ${jobId} not found`, 404);
+  }
+  return job;
+}
+
+// Retry a single failed job
+async function retryJob(queue, jobId) {
+  const job = await getJobOrFail(queue, jobId);
+  await job.retry();
+}
+
+// Move a delayed job to the wait list so it runs now
+async function promoteJob(queue, jobId) {
+  const job = await getJobOrFail(queue, jobId);
+  const state = await job.getState();
+  if (state !== "delayed") {
+    throw jobActionError(
+      `Job ${jobId} is ${state}, only delayed jobs can be promoted`,
+      409
+    );
+  }
+  await job.promote();
+}
+
+// Delete a job and its logs; both libraries refuse while a worker holds the job lock
+async function removeJob(queue, jobId, adapter) {
+  const job = await getJobOrFail(queue, jobId);
+  try {
+    await job.remove();
+  } catch (error) {
+    if (!adapter.isLockedError(error)) {
+      throw error;
+    }
+    throw jobActionError(
+      `Job ${jobId} is locked by a worker and cannot be removed`,
+      409
+    );
+  }
+}
+
+// Stop a job from being retried again. job.discard() only flags the in-memory
+// copy a worker holds, so the same effect is persisted by capping the stored
+// attempts at the next attempt. A running job picks this up from its next attempt.
+async function discardJob(queue, jobId, adapter) {
+  const job = await getJobOrFail(queue, jobId);
+  const state = await job.getState();
+  if (state === "completed" || state === "failed") {
+    throw jobActionError(
+      `Job ${jobId} is already ${state} and will not be retried`,
+      409
+    );
+  }
+
+  job.discard();
+  const opts = { ...job.opts, attempts: job.attemptsMade + 1 };
+  await adapter.saveJobOpts(queue, job.id, opts);
+}
+
+// Single job actions available as POST /api/queues/:queueName/jobs/id/:jobId/:action
+const JOB_ACTIONS = {
+  retry: retryJob,
+  promote: promoteJob,
+  remove: removeJob,
+  discard: discardJob,
+};
+
+// Run a bulk job action in the background, reporting progress over socket.io.
+// Returns immediately with the operation id clients use to follow progress.
+function startBulkJobAction(connection, queueName, action, jobIds, handler) {
+  const operationId = createOperationId();
+  const operation = {
+    operationId,
+    connection: connection.name,
+    queueName,
+    action,
+  };
+  const room = io.to(connectionRoom(connection));
+
+  console.log(
+    `Starting bulk ${action} of ${jobIds.length} jobs in ${queueName} (${operationId})`
+  );
+
+  runInChunks(jobIds, handler, {
+    onProgress: (progress) => {
+      room.emit("bulkActionProgress", {
+        ...operation,
+        total: progress.total,
+        processed: progress.processed,
+        succeeded: progress.succeeded,
+        failed: progress.failed,
+      });
+    },
+  })
+    .then((result) => {
+      console.log(
+        `Bulk ${action} in ${queueName} finished: ${result.succeeded} succeeded, ${result.failed} failed`
+      );
+      room.emit("bulkActionComplete", { ...operation, ...result });
+      auditLog.recordOperationResult(operationId, result);
+    })
+    .catch((error) => {
+      console.error(`Bulk ${action} in ${queueName} failed:`, error);
+      room.emit("bulkActionComplete", {
+        ...operation,
+        error: error.message,
+      });
+      auditLog.recordOperationResult(operationId, { error: error.message });
+    });
+
+  return { ...operation, total: jobIds.length };
+}
+
 // Helper function to add timeout to promises with better error handling
 function withTimeout(promise, timeoutMs = 5000) {
   return Promise.race([
@@ -185,25 +525,50 @@ function parseRedisInfo(infoString) {
   return info;
 }
 
-// Get queue statistics - FULL MODE: No timeouts, complete data
-async function getQueueStats(queueName, queue) {
+// Get job counts for many queues in one pipeline (LLEN/ZCARD, no job bodies)
+async function getQueueCounts(connection, queueNames) {
+  const queues = queueNames.map((name) => ({
+    name,
+    prefix: connection.queueDiscovery.getPrefix(name),
+    library: connection.queueDiscovery.getLibrary(name),
+  }));
+  return withTimeout(fetchJobCounts(connection.redisClient, queues), 5000);
+}
+
+// Shape job counts into the stats object the dashboard expects
+function buildQueueStats(queueName, counts) {
+  return {
+    name: queueName,
+    waiting: counts.waiting,
+    active: counts.active,
+    completed: counts.completed,
+    failed: counts.failed,
+    delayed: counts.delayed,
+    paused: counts.paused,
+    repeatable: counts.repeatable || 0,
+    total:
+      counts.waiting +
+      counts.active +
+      counts.completed +
+      counts.failed +
+      counts.delayed,
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+// Get queue statistics - counts plus memory usage for a single queue
+async function getQueueStats(connection, queueName) {
+  const { redisClient, queueDiscovery } = connection;
   try {
-    // Get all queue data without timeouts for complete information
-    const [waiting, active, completed, failed, delayed, paused] =
-      await Promise.all([
-        queue.getWaiting(),
-        queue.getActive(),
-        queue.getCompleted(),
-        queue.getFailed(),
-        queue.getDelayed(),
-        queue.isPaused(),
-      ]);
+    const counts = (await getQueueCounts(connection, [queueName])).get(
+      queueName
+    );
 
     // Calculate memory usage for this queue
     let memoryUsage = null;
     try {
-      const pattern = `bull:${queueName}:*`;
-      const keys = await redisClient.keys(pattern);
+      const pattern = `${queueDiscovery.getPrefix(queueName)}:${queueName}:*`;
+      const keys = await queueDiscovery.scanKeys(pattern);
 
       if (keys.length > 0) {
         // Get memory usage for all keys of this queue
@@ -233,26 +598,10 @@ async function getQueueStats(queueName, queue) {
       );
     }
 
-    const stats = {
-      name: queueName,
-      waiting: waiting.length,
-      active: active.length,
-      completed: completed.length,
-      failed: failed.length,
-      delayed: delayed.length,
-      paused: paused,
-      total:
-        waiting.length +
-        active.length +
-        completed.length +
-        failed.length +
-        delayed.length,
+    return {
+      ...buildQueueStats(queueName, counts),
       memoryUsage: memoryUsage,
-      lastUpdated: new Date().toISOString(),
     };
-
-    queueStats.set(queueName, stats);
-    return stats;
   } catch (error) {
     console.error(`Error getting stats for queue ${queueName}:`, error);
     return {
@@ -271,52 +620,22 @@ async function getQueueStats(queueName, queue) {
   }
 }
 
-// Get Redis metrics
-async function getRedisMetrics() {
+// Sample Redis INFO once: CPU usage since the previous sample, memory, clients
+// and keys. Only the connection's Redis metrics sampler calls this, so the CPU
+// delta window and the live chart history advance once per interval no matter
+// how many consumers read the result.
+async function sampleRedisMetrics(connection) {
+  const { redisClient, redisMetricsHistory } = connection;
   try {
-    if (!redisClient.isOpen) {
-      return null;
-    }
-
-    const info = await withTimeout(redisClient.info(), 3000);
-    const lines = info.split("\r\n");
-    const metrics = {};
-
-    lines.forEach((line) => {
-      if (line.includes(":")) {
-        const [key, value] = line.split(":");
-        metrics[key] = value;
-      }
-    });
-
-    // Extract CPU and memory metrics
-    const currentCpuSys = parseFloat(metrics.used_cpu_sys || 0);
-    const currentCpuUser = parseFloat(metrics.used_cpu_user || 0);
-    const currentTimestamp = Date.now();
-
-    // Calculate CPU usage rate (percentage)
-    let cpuUsagePercent = 0;
-    if (previousCpuValues.timestamp > 0) {
-      const timeDiff = (currentTimestamp - previousCpuValues.timestamp) / 1000; // seconds
-      const cpuSysDiff = currentCpuSys - previousCpuValues.used_cpu_sys;
-      const cpuUserDiff = currentCpuUser - previousCpuValues.used_cpu_user;
-      const totalCpuDiff = cpuSysDiff + cpuUserDiff;
-
-      // Convert to percentage (CPU time is in seconds, so we need to normalize)
-      if (timeDiff > 0) {
-        cpuUsagePercent = Math.min(
-          100,
-          Math.max(0, (totalCpuDiff / timeDiff) * 100)
-        );
-      }
+    // isOpen stays true while reconnecting; an INFO sent then would wait in
+    // the offline queue
+    if (!redisClient.isReady) {
+      connection.redisMetrics = null;
+      return;
     }
 
-    // Update previous values
-    previousCpuValues = {
-      used_cpu_sys: currentCpuSys,
-      used_cpu_user: currentCpuUser,
-      timestamp: currentTimestamp,
-    };
+    const metrics = parseRedisInfo(await withTimeout(redisClient.info(), 3000));
+    const cpuUsagePercent = calculateCpuUsagePercent(connection, metrics);
 
     const memoryUsed = parseInt(metrics.used_memory || 0);
     const memoryMax =
@@ -358,7 +677,7 @@ async function getRedisMetrics() {
       totalKeysSize = 0;
     }
 
-    return {
+    connection.redisMetrics = {
       cpu: {
         current: cpuUsagePercent,
         history: [...redisMetricsHistory.cpu],
@@ -377,48 +696,57 @@ async function getRedisMetrics() {
       keyspaceMisses: parseInt(metrics.keyspace_misses || 0),
     };
   } catch (error) {
-    console.error("Error getting Redis metrics:", error);
-    return null;
+    console.error("Error getting Redis metrics:", error.message);
+    connection.redisMetrics = null;
   }
 }
 
+// Latest Redis metrics of a connection (null until sampled or while Redis is
+// down). The live stats, /metrics, alerts and the history all read this.
+function getRedisMetrics(connection) {
+  return connection.redisMetrics;
+}
+
+function startRedisMetricsSampler(connection) {
+  sampleRedisMetrics(connection);
+  const timer = setInterval(
+    () => sampleRedisMetrics(connection),
+    REDIS_METRICS_INTERVAL
+  );
+  timer.unref();
+}
+
 // Update all queue statistics
-async function updateAllQueueStats() {
-  if (!redisClient.isOpen) {
+async function updateAllQueueStats(connection) {
+  if (!connection.redisClient.isReady) {
     return [];
   }
 
-  const queueNames = await discoverQueues();
-  const allStats = [];
+  const discoveredNames = await discoverQueues(connection);
+  const queueNames = queueRegistry
+    .resolve(discoveredNames)
+    .map((entry) => entry.name);
 
-  // Process queues one by one with small delay for production safety
-  for (const queueName of queueNames) {
-    const queue = discoveredQueues.get(queueName);
-    if (queue) {
-      try {
-        const stats = await getQueueStats(queueName, queue);
-        allStats.push(stats);
-        // Small delay to avoid overwhelming production Redis
-        await new Promise((resolve) => setTimeout(resolve, 10));
-      } catch (error) {
-        console.warn(
-          `Failed to get stats for queue ${queueName}:`,
-          error.message
-        );
-        // Add basic stats even if failed
-        allStats.push({
-          name: queueName,
-          waiting: 0,
-          active: 0,
-          completed: 0,
-          failed: 0,
-          total: 0,
-        });
-      }
-    }
+  // One pipelined round trip for every queue instead of loading job lists
+  try {
+    const counts = await getQueueCounts(connection, queueNames);
+    return queueNames.map((queueName) =>
+      buildQueueStats(queueName, counts.get(queueName))
+    );
+  } catch (error) {
+    console.warn("Failed to get queue counts:", error.message);
+    // Add basic stats even if failed
+    return queueNames.map((queueName) => ({
+      name: queueName,
+      waiting: 0,
+      active: 0,
+      completed: 0,
+      failed: 0,
+      delayed: 0,
+      total: 0,
+      error: error.message,
+    }));
   }
-
-  return allStats;
 }
 
 // Get queue memory usage - DISABLED for production safety
@@ -431,201 +759,134 @@ async function getQueueMemoryUsage(queueName) {
 }
 
 // API Routes
-app.get("/api/redis-metrics", async (req, res) => {
-  try {
-    // PRODUCTION-SAFE: Redis monitoring with timeouts and fallbacks
-    console.log("Fetching Redis metrics with production safety...");
-
-    const defaultMetrics = {
-      cpu: { current: 0, history: [0, 0, 0] },
-      memory: { used: 0, max: 0, usagePercent: 0, history: [0, 0, 0] },
-      timestamps: [new Date().toISOString()],
-      connectedClients: 0,
-      totalKeys: 0,
-      totalKeysSizeMB: 0,
-      keyspaceHits: 0,
-      keyspaceMisses: 0,
-    };
 
-    // Check Redis connection first
-    if (!redisClient.isOpen) {
-      console.warn("Redis client not connected, returning default metrics");
-      return res.json(defaultMetrics);
+// Queue routes answer 404 for queues the dashboard does not list, so a made-up
+// name never gets a Bull/BullMQ instance
+api.param("queueName", async (req, res, next, queueName) => {
+  try {
+    if (await isKnownQueue(req.redisConnection, queueName)) {
+      return next();
     }
+    res.status(404).json({ error: `Unknown queue ${queueName}` });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    try {
-      // Get Redis INFO with longer timeout for stability
-      console.log("Calling Redis INFO command...");
-      const infoResult = await withTimeout(redisClient.info(), 5000);
-      console.log(
-        "Redis INFO result length:",
-        infoResult ? infoResult.length : 0
-      );
-
-      if (!infoResult) {
-        console.warn("Redis INFO returned null, using defaults");
-        return res.json(defaultMetrics);
-      }
+// Latest sample from the connection's Redis metrics sampler
+api.get("/redis-metrics", (req, res) => {
+  res.json(getRedisMetrics(req.redisConnection) || DEFAULT_REDIS_METRICS);
+});
 
-      const info = parseRedisInfo(infoResult);
-      console.log("Parsed info keys:", Object.keys(info).slice(0, 5));
+// Stats for every registry queue, as returned by GET /api/queues.
+// countsError is set when Redis could not be asked for the counts.
+async function collectQueueStats(connection) {
+  const { redisClient, queueDiscovery } = connection;
+  // Merge configured queue names with the cached discovery results
+  const discoveredNames = (await queueDiscovery.getQueues()).map(
+    (queue) => queue.name
+  );
+  const registryEntries = queueRegistry.resolve(discoveredNames);
+  const queueNames = registryEntries.map((entry) => entry.name);
 
-      // Get database size with timeout
-      console.log("Calling Redis DBSIZE command...");
-      const dbSize = await withTimeout(redisClient.dbSize(), 5000);
-      console.log("Redis DBSIZE result:", dbSize);
+  // Real counts for every queue from one pipelined LLEN/ZCARD round trip
+  let counts = new Map();
+  let countsError = null;
+  if (redisClient.isReady) {
+    try {
+      counts = await getQueueCounts(connection, queueNames);
+    } catch (countError) {
+      console.warn("Failed to get queue counts:", countError.message);
+      countsError = countError.message;
+    }
+  } else {
+    countsError = "Redis not connected";
+  }
 
-      // Calculate metrics safely with better error handling
-      const usedMemory = parseInt(info.used_memory || 0);
-      const maxMemory = parseInt(
-        info.maxmemory || info.total_system_memory || 0
-      );
+  const emptyCounts = {
+    waiting: 0,
+    active: 0,
+    completed: 0,
+    failed: 0,
+    delayed: 0,
+    paused: false,
+    repeatable: 0,
+  };
+  const queues = registryEntries.map(({ name, source }) => ({
+    ...buildQueueStats(name, counts.get(name) || emptyCounts),
+    prefix: queueDiscovery.getPrefix(name),
+    library: queueDiscovery.getLibrary(name),
+    source: source,
+    memoryUsage: null,
+    ...(countsError ? { error: countsError } : {}),
+  }));
+
+  return { queues, countsError };
+}
 
-      // Calculate proper CPU usage percentage
-      const cpuUsagePercent = calculateCpuUsagePercent(info);
-
-      const metrics = {
-        cpu: {
-          current: cpuUsagePercent,
-          history: [cpuUsagePercent],
-        },
-        memory: {
-          used: usedMemory,
-          max: maxMemory,
-          usagePercent:
-            maxMemory > 0
-              ? ((usedMemory / maxMemory) * 100).toFixed(2)
-              : "0.00",
-          history: [usedMemory],
-        },
-        timestamps: [new Date().toISOString()],
-        connectedClients: parseInt(info.connected_clients || 0),
-        totalKeys: dbSize || 0,
-        totalKeysSizeMB: Math.round(usedMemory / (1024 * 1024)),
-        keyspaceHits: parseInt(info.keyspace_hits || 0),
-        keyspaceMisses: parseInt(info.keyspace_misses || 0),
-      };
+api.get("/queues", async (req, res) => {
+  try {
+    const { queues } = await collectQueueStats(req.redisConnection);
+    console.log(`✅ FULL DISCOVERY: Found ${queues.length} real queues`);
+    console.log(
+      `Queue names: ${queues
+        .slice(0, 10)
+        .map((queue) => queue.name)
+        .join(", ")}${queues.length > 10 ? "..." : ""}`
+    );
+    console.log(`✅ Returning ${queues.length} queues with job counts`);
 
-      console.log("Redis metrics fetched successfully:", {
-        memory: metrics.memory.usagePercent + "%",
-        clients: metrics.connectedClients,
-        keys: metrics.totalKeys,
-      });
-      res.json(metrics);
-    } catch (redisError) {
-      console.warn(
-        "Redis metrics timeout, returning defaults:",
-        redisError.message
-      );
-      res.json(defaultMetrics);
-    }
+    res.json(queues);
   } catch (error) {
-    console.error("Error in redis-metrics endpoint:", error);
-    res.status(500).json({ error: "Failed to fetch Redis metrics" });
+    console.error("Error fetching queues:", error);
+    res.status(500).json({ error: "Failed to fetch queues" });
   }
 });
 
-app.get("/api/queues", async (req, res) => {
+// List every queue the registry knows about and where it came from
+api.get("/queue-registry", async (req, res) => {
+  const { queueDiscovery } = req.redisConnection;
   try {
-    // FULL DISCOVERY MODE: Get all real queue names from Redis
-    console.log("FULL DISCOVERY MODE: Scanning Redis for all Bull queues...");
-
-    const allQueueNames = new Set();
-
-    // Add queues discovered by Bull library
-    Array.from(discoveredQueues.keys()).forEach((name) =>
-      allQueueNames.add(name)
-    );
-
-    // KNOWN QUEUES: Use the queue names we discovered from Redis CLI
-    console.log("Using known queue names from your Redis instance...");
-
-    const knownQueues = [
-      "CRON_CAPACITY_RESOURCE_UPDATE",
-      "CRON_SRVC_TYPE_PERIODIC_AUTOMATIONS",
-      "WIFY_ASSIGNMENT_EXPORT_BY_EMAIL",
-      "WIFY_AUTO_ASSIGN_AUTHORITY_ON_EXISTING_SRVC_REQS",
-      "WIFY_AUTO_ASSIGN_AUTORITY_GET_SRVC_REQ_OF_SRVC_TYPE",
-      "WIFY_COPY_LAST_SEEN_FROM_REDIS_TO_DB",
-      "WIFY_CREATE_API_LOGS",
-      "WIFY_GAI_RATING_FOR_TECHNICIAN_SUBTASK",
-      "WIFY_GET_ALL_USERS_LAST_SEEN_FOR_COPY_TO_DB",
-      "WIFY_NEW_SBTSK_CREATION_NOTIFICATION",
-      "WIFY_NOTIFICATION_SEND_FCM",
-      "WIFY_PROCESS_RATINGS_QUEUE",
-      "WIFY_TMS_LOC_MAPPING_QUEUE",
-      "WIFY_SRVC_REQ_EXPORT_BY_EMAIL",
-      "WIFY_SBTSK_REQ_STATUS_UPDATE_WORKFLOW",
-      "WIFY_SBTSK_REQ_CREATION_WORKFLOW",
-      "WIFY_SRVC_REQ_CREATION_WORKFLOW",
-    ];
-
-    knownQueues.forEach((name) => allQueueNames.add(name));
-    console.log(`Added ${knownQueues.length} known queue names`);
-
-    const queueNames = Array.from(allQueueNames).sort();
-    console.log(`✅ FULL DISCOVERY: Found ${queueNames.length} real queues`);
-    console.log(
-      `Queue names: ${queueNames.slice(0, 10).join(", ")}${
-        queueNames.length > 10 ? "..." : ""
-      }`
+    const discoveredNames = (await queueDiscovery.getQueues()).map(
+      (queue) => queue.name
     );
-
-    // NAMES ONLY MODE: Return queue names without statistics
-    console.log("NAMES ONLY MODE: Returning queue names without statistics...");
-
-    // Create simple queue objects with just names
-    const simpleQueues = queueNames.map((name) => ({
-      name: name,
-      waiting: 0,
-      active: 0,
-      completed: 0,
-      failed: 0,
-      delayed: 0,
-      paused: false,
-      total: 0,
-      memoryUsage: null,
-      lastUpdated: new Date().toISOString(),
+    const queues = queueRegistry.resolve(discoveredNames).map((entry) => ({
+      ...entry,
+      prefix: queueDiscovery.getPrefix(entry.name),
+      library: queueDiscovery.getLibrary(entry.name),
     }));
-
-    console.log(
-      `✅ FAST MODE: Returning ${simpleQueues.length} queue names instantly`
-    );
-    console.log(
-      `Queue names: ${queueNames.slice(0, 10).join(", ")}${
-        queueNames.length > 10 ? "..." : ""
-      }`
-    );
-
-    res.json(simpleQueues);
+    res.json({
+      config: queueRegistry.config,
+      prefixes: queueDiscovery.prefixes,
+      lastDiscovery: queueDiscovery.getLastRefreshed(),
+      queues,
+    });
   } catch (error) {
-    console.error("Error fetching queues:", error);
-    res.status(500).json({ error: "Failed to fetch queues" });
+    console.error("Error fetching queue registry:", error);
+    res.status(500).json({ error: "Failed to fetch queue registry" });
   }
 });
 
-app.get("/api/queues/:queueName", async (req, res) => {
+api.get("/queues/:queueName", async (req, res) => {
+  const connection = req.redisConnection;
+  const { redisClient, queueDiscovery } = connection;
   try {
     const { queueName } = req.params;
     console.log(`Getting details for queue: ${queueName}`);
 
-    // Try to get existing Bull instance or create a new one
-    let queue = discoveredQueues.get(queueName);
-
-    if (!queue) {
-      console.log(`Creating new Bull instance for queue: ${queueName}`);
+    // Try to get existing queue instance or create a new one
+    if (!connection.hasQueue(queueName)) {
       try {
-        queue = new Bull(queueName, { redis: redisConfig });
-        discoveredQueues.set(queueName, queue);
+        connection.getQueue(queueName);
       } catch (bullError) {
         console.warn(
-          `Could not create Bull instance for ${queueName}:`,
+          `Could not create queue instance for ${queueName}:`,
           bullError.message
         );
 
         // Fallback: Return basic info from Redis without Bull
-        const pattern = `bull:${queueName}:*`;
-        const keys = await redisClient.keys(pattern);
+        const pattern = `${queueDiscovery.getPrefix(queueName)}:${queueName}:*`;
+        const keys = await queueDiscovery.scanKeys(pattern);
 
         let memoryUsage = null;
         if (keys.length > 0) {
@@ -659,13 +920,14 @@ app.get("/api/queues/:queueName", async (req, res) => {
           total: 0,
           memoryUsage: memoryUsage,
           lastUpdated: new Date().toISOString(),
-          note: "Bull instance not available - showing Redis data only",
+          library: queueDiscovery.getLibrary(queueName),
+          note: "Queue instance not available - showing Redis data only",
         });
       }
     }
 
-    const stats = await getQueueStats(queueName, queue);
-    res.json(stats);
+    const stats = await getQueueStats(connection, queueName);
+    res.json({ ...stats, library: queueDiscovery.getLibrary(queueName) });
   } catch (error) {
     console.error(
       `Error fetching stats for queue ${req.params.queueName}:`,
@@ -675,13 +937,14 @@ app.get("/api/queues/:queueName", async (req, res) => {
   }
 });
 
-app.get("/api/queues/:queueName/keys", async (req, res) => {
+api.get("/queues/:queueName/keys", async (req, res) => {
+  const { redisClient, queueDiscovery } = req.redisConnection;
   try {
     const { queueName } = req.params;
 
     // Get ALL Redis keys for this queue - NO TIMEOUT
-    const pattern = `bull:${queueName}:*`;
-    const keys = await redisClient.keys(pattern);
+    const pattern = `${queueDiscovery.getPrefix(queueName)}:${queueName}:*`;
+    const keys = await queueDiscovery.scanKeys(pattern);
 
     // Get memory usage for ALL keys - NO TIMEOUT, NO LIMITS
     const keysWithMemory = await Promise.all(
@@ -833,49 +1096,48 @@ app.get("/api/queues/:queueName/keys", async (req, res) => {
   }
 });
 
-app.get("/api/queues/:queueName/jobs/:status", async (req, res) => {
+api.get("/queues/:queueName/jobs/:status", async (req, res) => {
   try {
     const { queueName, status } = req.params;
-    const queue = discoveredQueues.get(queueName);
-
-    if (!queue) {
-      return res.status(404).json({ error: "Queue not found" });
-    }
-
-    let jobs = [];
-    switch (status) {
-      case "waiting":
-        jobs = await queue.getWaiting();
-        break;
-      case "active":
-        jobs = await queue.getActive();
-        break;
-      case "completed":
-        jobs = await queue.getCompleted();
-        break;
-      case "failed":
-        jobs = await queue.getFailed();
-        break;
-      case "delayed":
-        jobs = await queue.getDelayed();
-        break;
-      default:
-        return res.status(400).json({ error: "Invalid job status" });
-    }
-
-    const jobData = jobs.map((job) => ({
-      id: job.id,
-      name: job.name,
-      data: job.data,
-      opts: job.opts,
-      progress: job.progress,
-      timestamp: job.timestamp,
-      processedOn: job.processedOn,
-      finishedOn: job.finishedOn,
-      failedReason: job.failedReason,
-    }));
+    const jobStatus = JOB_STATUSES[status];
+
+    if (!jobStatus) {
+      return res.status(400).json({ error: "Invalid job status" });
+    }
 
-    res.json(jobData);
+    // Pagination: start offset, page size and asc (oldest first) / desc order
+    const start = Math.max(0, parseInt(req.query.start) || 0);
+    const limit = Math.min(
+      MAX_JOBS_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit) || DEFAULT_JOBS_PAGE_SIZE)
+    );
+    const order = req.query.order || jobStatus.defaultOrder;
+
+    if (order !== "asc" && order !== "desc") {
+      return res
+        .status(400)
+        .json({ error: "Invalid order, expected asc or desc" });
+    }
+
+    const queue = req.redisConnection.getQueue(queueName);
+    const adapter = req.redisConnection.getAdapter(queueName);
+    const { jobs, total } = await getJobsPage(
+      queue,
+      adapter.jobTypes[status],
+      start,
+      limit,
+      order === "asc"
+    );
+
+    res.json({
+      queueName,
+      status,
+      start,
+      limit,
+      order,
+      total,
+      jobs: jobs.map((job) => serializeJob(job, adapter)),
+    });
   } catch (error) {
     console.error(
       `Error fetching jobs for queue ${req.params.queueName}:`,
@@ -885,21 +1147,874 @@ app.get("/api/queues/:queueName/jobs/:status", async (req, res) => {
   }
 });
 
+api.get("/queues/:queueName/jobs/id/:jobId", async (req, res) => {
+  try {
+    const { queueName, jobId } = req.params;
+    const queue = req.redisConnection.getQueue(queueName);
+    const adapter = req.redisConnection.getAdapter(queueName);
+    const job = await queue.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const [state, logs] = await Promise.all([
+      job.getState(),
+      queue.getJobLogs(jobId),
+    ]);
+
+    res.json({
+      ...serializeJob(job, adapter),
+      queueName,
+      library: adapter.library,
+      state,
+      attemptsMade: job.attemptsMade,
+      delay: job.delay,
+      returnvalue: job.returnvalue,
+      // One entry per failed attempt, oldest first (capped by opts.stackTraceLimit)
+      stacktrace: job.stacktrace || [],
+      logs: logs.logs,
+      logCount: logs.count,
+    });
+  } catch (error) {
+    console.error(
+      `Error fetching job ${req.params.jobId} for queue ${req.params.queueName}:`,
+      error
+    );
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+});
+
+api.post("/queues/:queueName/jobs/id/:jobId/:action", async (req, res) => {
+  const { queueName, jobId, action } = req.params;
+  const jobAction = JOB_ACTIONS[action];
+
+  if (!jobAction) {
+    return res.status(400).json({
+      error: `Invalid job action, expected one of: ${Object.keys(
+        JOB_ACTIONS
+      ).join(", ")}`,
+    });
+  }
+
+  try {
+    const queue = req.redisConnection.getQueue(queueName);
+    const adapter = req.redisConnection.getAdapter(queueName);
+    await adapter.ready(queue);
+    await jobAction(queue, jobId, adapter);
+    console.log(`Job ${jobId} in ${queueName}: ${action} succeeded`);
+    res.json({ queueName, jobId, action, success: true });
+  } catch (error) {
+    console.warn(
+      `Could not ${action} job ${jobId} in ${queueName}:`,
+      error.message
+    );
+    res.status(getJobActionStatus(error)).json({ error: error.message });
+  }
+});
+
+// Search a queue's jobs by ID, name, a data path or failedReason text. Results
+// are streamed as NDJSON lines while the scan runs: { type: "match", job },
+// { type: "progress", scanned, matched } and a final { type: "done", ... }.
+api.get("/queues/:queueName/search", async (req, res) => {
+  const { queueName } = req.params;
+  const { redisClient, queueDiscovery } = req.redisConnection;
+
+  let search;
+  try {
+    search = parseSearchQuery(req.query);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+  if (!redisClient.isReady) {
+    return res.status(503).json({ error: "Redis is not connected" });
+  }
+
+  // Stop scanning as soon as the client goes away
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.flushHeaders();
+
+  const queue = {
+    name: queueName,
+    prefix: queueDiscovery.getPrefix(queueName),
+  };
+  try {
+    for await (const line of searchJobs(redisClient, queue, search)) {
+      if (closed) break;
+      res.write(`${JSON.stringify(line)}\n`);
+    }
+  } catch (error) {
+    console.error(`Error searching jobs in queue ${queueName}:`, error);
+    if (!closed) {
+      res.write(
+        `${JSON.stringify({ type: "error", error: "Job search failed" })}\n`
+      );
+    }
+  }
+  res.end();
+});
+
+// Add a job: body { name, data, opts: { delay, priority, attempts, backoff, jobId, removeOnComplete } }
+api.post("/queues/:queueName/jobs", async (req, res) => {
+  const { queueName } = req.params;
+  const { name, data = {}, opts } = req.body || {};
+
+  try {
+    if (name !== undefined && typeof name !== "string") {
+      throw jobActionError("name must be a string", 400);
+    }
+    if (data === null || typeof data !== "object") {
+      throw jobActionError("data must be a JSON object or array", 400);
+    }
+    const jobOpts = parseJobOptions(opts);
+
+    const queue = req.redisConnection.getQueue(queueName);
+    const adapter = req.redisConnection.getAdapter(queueName);
+
+    // Both libraries silently return the existing job when a custom jobId is reused
+    if (jobOpts.jobId && (await queue.getJob(jobOpts.jobId))) {
+      throw jobActionError(`Job ${jobOpts.jobId} already exists`, 409);
+    }
+
+    const job = await adapter.addJob(queue, name, data, jobOpts);
+
+    console.log(`Added job ${job.id} to ${queueName}`);
+    res.status(201).json({ queueName, job: serializeJob(job, adapter) });
+  } catch (error) {
+    console.warn(`Could not add job to ${queueName}:`, error.message);
+    res.status(getJobActionStatus(error)).json({ error: error.message });
+  }
+});
+
+// Retry a selected set of failed jobs: body { jobIds: [...] }
+api.post("/queues/:queueName/jobs/retry", (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const jobIds = req.body && req.body.jobIds;
+
+    if (!Array.isArray(jobIds) || jobIds.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "jobIds must be a non-empty array" });
+    }
+
+    const queue = req.redisConnection.getQueue(queueName);
+    const operation = startBulkJobAction(
+      req.redisConnection,
+      queueName,
+      "retry",
+      jobIds.map(String),
+      (jobId) => retryJob(queue, jobId)
+    );
+    res.status(202).json(operation);
+  } catch (error) {
+    console.error(
+      `Error retrying jobs for queue ${req.params.queueName}:`,
+      error
+    );
+    res.status(500).json({ error: "Failed to retry jobs" });
+  }
+});
+
+// Retry every job currently in the failed set
+api.post("/queues/:queueName/jobs/retry-all", async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const queue = req.redisConnection.getQueue(queueName);
+
+    // Snapshot the failed IDs so jobs failing again are not retried twice
+    const jobIds = await queue.getRanges(["failed"], 0, -1, true);
+    const operation = startBulkJobAction(
+      req.redisConnection,
+      queueName,
+      "retry",
+      jobIds,
+      (jobId) => retryJob(queue, jobId)
+    );
+    res.status(202).json(operation);
+  } catch (error) {
+    console.error(
+      `Error retrying all failed jobs for queue ${req.params.queueName}:`,
+      error
+    );
+    res.status(500).json({ error: "Failed to retry failed jobs" });
+  }
+});
+
+// Stream every job in a status as NDJSON (default) or CSV: ?format=csv
+api.get("/queues/:queueName/export/:status", async (req, res) => {
+  const { queueName, status } = req.params;
+  const format = req.query.format || "ndjson";
+  const { redisClient, getQueue, getAdapter } = req.redisConnection;
+
+  if (!JOB_STATUSES[status]) {
+    return res.status(400).json({
+      error: `Invalid status. Must be one of: ${Object.keys(JOB_STATUSES).join(
+        ", "
+      )}`,
+    });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+  if (!redisClient.isReady) {
+    return res.status(503).json({ error: "Redis is not connected" });
+  }
+
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const queue = getQueue(queueName);
+  const adapter = getAdapter(queueName);
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+  res.attachment(`${queueName}-${status}-${date}.${format}`);
+
+  let exported = 0;
+  try {
+    if (format === "csv") {
+      await write(res, csvHeader());
+    }
+    for await (const jobs of iterateJobs(queue, adapter.jobTypes[status])) {
+      for (const job of jobs) {
+        if (closed) break;
+        await write(
+          res,
+          formatRecord(serializeExportedJob(job, adapter), format)
+        );
+        exported++;
+      }
+      if (closed) break;
+    }
+    console.log(`Exported ${exported} ${status} jobs from ${queueName}`);
+    res.end();
+  } catch (error) {
+    // Headers are gone, so cut the download short rather than end it cleanly
+    console.error(`Error exporting ${status} jobs from ${queueName}:`, error);
+    res.destroy(error);
+  }
+});
+
+// Re-add the jobs of an NDJSON body (Content-Type: application/x-ndjson), one
+// { name, data, opts } object per line as written by the export. Query: opts
+// (JSON job options that override each line's) and keepJobIds=true to reuse
+// the exported job IDs. Responds with per-line errors once every line is read.
+api.post("/queues/:queueName/import", async (req, res) => {
+  const { queueName } = req.params;
+
+  if (!req.is(["application/x-ndjson", "text/plain"])) {
+    return res
+      .status(415)
+      .json({ error: "Send the jobs as application/x-ndjson" });
+  }
+  if (parseInt(req.get("Content-Length")) > IMPORT_MAX_BYTES) {
+    return res
+      .status(413)
+      .json({ error: `Imports are limited to ${IMPORT_MAX_BYTES} bytes` });
+  }
+  if (!req.redisConnection.redisClient.isReady) {
+    return res.status(503).json({ error: "Redis is not connected" });
+  }
+
+  try {
+    let overrides = {};
+    if (req.query.opts) {
+      try {
+        overrides = parseJobOptions(JSON.parse(req.query.opts));
+      } catch (error) {
+        throw jobActionError(`Invalid opts: ${error.message}`, 400);
+      }
+      // One jobId for every line would only ever import the first
+      delete overrides.jobId;
+    }
+    const keepJobIds = req.query.keepJobIds === "true";
+
+    const queue = req.redisConnection.getQueue(queueName);
+    const adapter = req.redisConnection.getAdapter(queueName);
+    await adapter.ready(queue);
+
+    const result = await importJobs(
+      req,
+      async ({ name, data, opts }) => {
+        // Both libraries silently return the existing job when a jobId is reused
+        if (opts.jobId && (await queue.getJob(opts.jobId))) {
+          throw new Error(`Job ${opts.jobId} already exists`);
+        }
+        return adapter.addJob(queue, name, data, opts);
+      },
+      { overrides, keepJobIds, maxBytes: IMPORT_MAX_BYTES }
+    );
+
+    console.log(
+      `Imported ${result.imported} of ${result.total} jobs into ${queueName}`
+    );
+    if (result.tooLarge) {
+      // Chunked bodies only find out part way through
+      return res.status(413).json({
+        error: `Imports are limited to ${IMPORT_MAX_BYTES} bytes; stopped after ${result.total} lines`,
+        queueName,
+        ...result,
+      });
+    }
+    res.json({ queueName, ...result });
+  } catch (error) {
+    console.warn(`Could not import jobs into ${queueName}:`, error.message);
+    res.status(getJobActionStatus(error)).json({ error: error.message });
+  }
+});
+
+// Failed jobs grouped by normalized failedReason and top stack frame. Only the
+// newest `limit` failed jobs are grouped; `truncated` says when there were more.
+api.get("/queues/:queueName/failed-groups", async (req, res) => {
+  const { queueName } = req.params;
+  const { redisClient, queueDiscovery } = req.redisConnection;
+
+  try {
+    const limit = parseFailedGroupLimit(req.query.limit);
+    const queue = {
+      name: queueName,
+      prefix: queueDiscovery.getPrefix(queueName),
+    };
+    const result = await withTimeout(
+      groupFailedJobs(redisClient, queue, { limit }),
+      30000
+    );
+    res.json({ queueName, limit, ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error grouping failed jobs for queue ${queueName}:`, error);
+    res.status(500).json({ error: "Failed to group failed jobs" });
+  }
+});
+
+// Bulk actions on the failed jobs of one group
+const FAILED_GROUP_ACTIONS = {
+  retry: retryJob,
+  remove: removeJob,
+};
+
+// Retry or remove every failed job in a group: body { limit } (same limit the
+// groups were listed with). Runs in the background like the other bulk actions.
+api.post(
+  "/queues/:queueName/failed-groups/:signature/:action",
+  async (req, res) => {
+    const { queueName, signature, action } = req.params;
+    const { redisClient, queueDiscovery, getQueue, getAdapter } =
+      req.redisConnection;
+    const groupAction = FAILED_GROUP_ACTIONS[action];
+
+    if (!groupAction) {
+      return res.status(400).json({
+        error: `Unknown action ${action}. Supported: ${Object.keys(
+          FAILED_GROUP_ACTIONS
+        ).join(", ")}`,
+      });
+    }
+
+    try {
+      const limit = parseFailedGroupLimit((req.body || {}).limit);
+      const queue = {
+        name: queueName,
+        prefix: queueDiscovery.getPrefix(queueName),
+      };
+      const jobIds = await withTimeout(
+        getGroupJobIds(redisClient, queue, signature, { limit }),
+        30000
+      );
+      if (jobIds.length === 0) {
+        return res
+          .status(404)
+          .json({ error: `No failed jobs in group ${signature}` });
+      }
+
+      const bullQueue = getQueue(queueName);
+      const adapter = getAdapter(queueName);
+      const operation = startBulkJobAction(
+        req.redisConnection,
+        queueName,
+        action,
+        jobIds,
+        (jobId) => groupAction(bullQueue, jobId, adapter)
+      );
+      // The job IDs go back with the operation so the audit log records them
+      res.status(202).json({ ...operation, signature, jobIds });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(
+        `Error running ${action} on failed group ${signature} in ${queueName}:`,
+        error
+      );
+      res.status(500).json({ error: `Failed to ${action} failed group` });
+    }
+  }
+);
+
+// Globally pause or resume a queue across all workers (Bull's default pause mode)
+function setQueuePaused(paused) {
+  const action = paused ? "pause" : "resume";
+
+  return async (req, res) => {
+    const { queueName } = req.params;
+    const connection = req.redisConnection;
+    try {
+      const queue = connection.getQueue(queueName);
+      if (paused) {
+        await queue.pause();
+      } else {
+        await queue.resume();
+      }
+
+      console.log(`Queue ${queueName} ${paused ? "paused" : "resumed"}`);
+      io.to(connectionRoom(connection)).emit("queuePaused", {
+        queueName,
+        paused,
+      });
+      res.json({ queueName, paused });
+    } catch (error) {
+      console.error(`Error trying to ${action} queue ${queueName}:`, error);
+      res.status(500).json({ error: `Failed to ${action} queue` });
+    }
+  };
+}
+
+api.post("/queues/:queueName/pause", setQueuePaused(true));
+api.post("/queues/:queueName/resume", setQueuePaused(false));
+
+// Clean jobs older than a grace period: body { status, grace, limit, dryRun }
+// grace is in milliseconds, limit 0 means no limit. dryRun only counts matches.
+api.post("/queues/:queueName/clean", async (req, res) => {
+  const { queueName } = req.params;
+  const { redisClient, queueDiscovery, getQueue, getAdapter } =
+    req.redisConnection;
+  const { status = "completed", dryRun = false } = req.body || {};
+  if (typeof dryRun !== "boolean") {
+    return res.status(400).json({ error: "dryRun must be true or false" });
+  }
+  const grace = parseInt(req.body && req.body.grace);
+  const limit = parseInt((req.body && req.body.limit) || 0);
+
+  if (!CLEAN_STATUSES[status]) {
+    return res.status(400).json({
+      error: `Invalid status, expected one of: ${Object.keys(
+        CLEAN_STATUSES
+      ).join(", ")}`,
+    });
+  }
+  if (!Number.isInteger(grace) || grace < 0) {
+    return res
+      .status(400)
+      .json({ error: "grace must be a non-negative number of milliseconds" });
+  }
+  if (!Number.isInteger(limit) || limit < 0) {
+    return res
+      .status(400)
+      .json({ error: "limit must be a non-negative integer" });
+  }
+
+  try {
+    if (dryRun) {
+      const queue = {
+        name: queueName,
+        prefix: queueDiscovery.getPrefix(queueName),
+        library: queueDiscovery.getLibrary(queueName),
+      };
+      const preview = await previewClean(
+        redisClient,
+        queue,
+        status,
+        grace,
+        limit
+      );
+      return res.json({ queueName, status, grace, limit, dryRun, ...preview });
+    }
+
+    const removed = await cleanQueue(
+      getQueue(queueName),
+      getAdapter(queueName),
+      status,
+      grace,
+      limit
+    );
+    console.log(
+      `Cleaned ${removed} ${status} jobs older than ${grace}ms from ${queueName}`
+    );
+    res.json({ queueName, status, grace, limit, dryRun, removed });
+  } catch (error) {
+    console.error(`Error cleaning queue ${queueName}:`, error);
+    res.status(500).json({ error: "Failed to clean queue" });
+  }
+});
+
+// Throughput (completed/failed per minute) and wait/processing time percentiles
+// for the last `window` minutes, from up to `sample` recently finished jobs
+api.get("/queues/:queueName/analytics", async (req, res) => {
+  const { queueName } = req.params;
+  const { redisClient, queueDiscovery } = req.redisConnection;
+  const windowMinutes = parseInt(req.query.window || 60);
+  const sampleSize = parseInt(req.query.sample || 1000);
+
+  if (
+    !Number.isInteger(windowMinutes) ||
+    windowMinutes < 1 ||
+    windowMinutes > MAX_WINDOW_MINUTES
+  ) {
+    return res.status(400).json({
+      error: `window must be between 1 and ${MAX_WINDOW_MINUTES} minutes`,
+    });
+  }
+  if (!Number.isInteger(sampleSize) || sampleSize < 1) {
+    return res.status(400).json({ error: "sample must be a positive integer" });
+  }
+
+  try {
+    const queue = {
+      name: queueName,
+      prefix: queueDiscovery.getPrefix(queueName),
+    };
+    const analytics = await withTimeout(
+      fetchQueueAnalytics(redisClient, queue, { windowMinutes, sampleSize }),
+      10000
+    );
+    res.json(analytics);
+  } catch (error) {
+    console.error(`Error fetching analytics for queue ${queueName}:`, error);
+    res.status(500).json({ error: "Failed to fetch queue analytics" });
+  }
+});
+
+// Repeat key -> display fields. Both libraries store the next run as the zset score.
+function serializeRepeatableJob(repeatable) {
+  return {
+    key: repeatable.key,
+    name: repeatable.name,
+    id: repeatable.id,
+    cron: repeatable.cron,
+    every: repeatable.every,
+    tz: repeatable.tz,
+    next: repeatable.next || null,
+    endDate: repeatable.endDate,
+  };
+}
+
+// List repeatable job schedules (cron or every) ordered by next run
+api.get("/queues/:queueName/repeatable", async (req, res) => {
+  const { queueName } = req.params;
+  const { getQueue, getAdapter } = req.redisConnection;
+  try {
+    const repeatableJobs = await withTimeout(
+      getAdapter(queueName).getRepeatableJobs(getQueue(queueName)),
+      5000
+    );
+    res.json({
+      queueName,
+      total: repeatableJobs.length,
+      repeatableJobs: repeatableJobs.map(serializeRepeatableJob),
+    });
+  } catch (error) {
+    console.error(
+      `Error fetching repeatable jobs for queue ${queueName}:`,
+      error
+    );
+    res.status(500).json({ error: "Failed to fetch repeatable jobs" });
+  }
+});
+
+// Delete a repeatable schedule and its next delayed job: body { key }
+// The key is sent in the body since cron expressions can contain "/"
+api.post("/queues/:queueName/repeatable/remove", async (req, res) => {
+  const { queueName } = req.params;
+  const { redisClient, queueDiscovery, getQueue, getAdapter } =
+    req.redisConnection;
+  const { key } = req.body || {};
+
+  if (typeof key !== "string" || key === "") {
+    return res.status(400).json({ error: "key must be a repeat job key" });
+  }
+
+  try {
+    const queue = getQueue(queueName);
+    const repeatKey = `${queueDiscovery.getPrefix(
+      queueName
+    )}:${queueName}:repeat`;
+    if ((await redisClient.zScore(repeatKey, key)) === null) {
+      return res.status(404).json({ error: "Repeatable job not found" });
+    }
+
+    await getAdapter(queueName).removeRepeatable(queue, key);
+    console.log(`Removed repeatable job ${key} from ${queueName}`);
+    res.json({ queueName, key, removed: true });
+  } catch (error) {
+    console.error(
+      `Error removing repeatable job ${key} from queue ${queueName}:`,
+      error
+    );
+    res.status(500).json({ error: "Failed to remove repeatable job" });
+  }
+});
+
+// Record one sample of Redis metrics and per-queue counts into the history
+async function sampleMetrics(connection) {
+  if (!connection.redisClient.isReady) {
+    return;
+  }
+
+  const { metricsStore } = connection;
+  const [redisMetrics, { queues, countsError }] = await Promise.all([
+    getRedisMetrics(connection),
+    collectQueueStats(connection),
+  ]);
+  const timestamp = Date.now();
+
+  if (redisMetrics) {
+    metricsStore.record("redis:cpu", redisMetrics.cpu.current, timestamp);
+    metricsStore.record(
+      "redis:memory",
+      redisMetrics.memory.usagePercent,
+      timestamp
+    );
+    metricsStore.record(
+      "redis:memoryUsed",
+      redisMetrics.memory.used,
+      timestamp
+    );
+    metricsStore.record(
+      "redis:clients",
+      redisMetrics.connectedClients,
+      timestamp
+    );
+    metricsStore.record("redis:keys", redisMetrics.totalKeys, timestamp);
+  }
+
+  // Zeroed counts from a failed pipeline would look like real drops
+  if (!countsError) {
+    queues.forEach((queue) => {
+      QUEUE_HISTORY_STATES.forEach((state) => {
+        metricsStore.record(
+          `queue:${queue.name}:${state}`,
+          queue[state],
+          timestamp
+        );
+      });
+    });
+  }
+}
+
+function startMetricsSampler(connection) {
+  const sampleTimer = setInterval(() => {
+    sampleMetrics(connection).catch((error) => {
+      console.warn(
+        `Metrics sample failed (${connection.name}):`,
+        error.message
+      );
+    });
+  }, METRICS_SAMPLE_INTERVAL);
+  sampleTimer.unref();
+
+  const saveTimer = setInterval(
+    () => connection.metricsStore.save(),
+    METRICS_SAVE_INTERVAL
+  );
+  saveTimer.unref();
+}
+
+// Parse a from/to query value given as epoch milliseconds or an ISO date
+function parseTimeParam(value, fallback) {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+// Time-range query over the metrics history.
+// series is a comma separated list of names or globs, e.g. redis:cpu,queue:EMAIL_*:failed
+api.get("/metrics/history", (req, res) => {
+  const now = Date.now();
+  const to = parseTimeParam(req.query.to, now);
+  const from = parseTimeParam(req.query.from, (to || now) - 60 * 60 * 1000);
+  const { resolution } = req.query;
+
+  if (from === null || to === null || from > to) {
+    return res.status(400).json({
+      error: "from and to must be epoch milliseconds or ISO dates, from <= to",
+    });
+  }
+  if (resolution && !RESOLUTIONS[resolution]) {
+    return res.status(400).json({
+      error: `Invalid resolution, expected one of: ${Object.keys(
+        RESOLUTIONS
+      ).join(", ")}`,
+    });
+  }
+
+  const patterns = parseList(req.query.series || "redis:*").map(globToRegExp);
+  const match = (name) => patterns.some((pattern) => pattern.test(name));
+
+  res.json({
+    from,
+    to,
+    ...req.redisConnection.metricsStore.query({ from, to, match, resolution }),
+  });
+});
+
+// Names of every recorded series, for building history queries
+api.get("/metrics/series", (req, res) => {
+  res.json({ series: req.redisConnection.metricsStore.getSeriesNames() });
+});
+
+// Alert rules from ALERT_CONFIG_FILE, evaluated against every connection
+const alertConfig = loadAlertConfig();
+
+// Background services of one connection: the live job event relay, metrics
+// history, alert engine and the refresh loop for the dashboards watching it
+function setupConnectionServices(connection) {
+  const room = connectionRoom(connection);
+
+  // Live job events, relayed only to clients watching the queue
+  connection.jobEventRelay = createJobEventRelay(
+    io,
+    (queueName, onEvent) => {
+      const stop = connection
+        .getAdapter(queueName)
+        .listen(connection.getQueue(queueName, { forEvents: true }), onEvent);
+      return () => {
+        stop();
+        connection.releaseEventQueue(queueName);
+      };
+    },
+    { roomPrefix: `queue:${connection.name}:` }
+  );
+
+  connection.metricsStore = createMetricsStore({
+    file: connection.isDefault
+      ? METRICS_HISTORY_FILE
+      : METRICS_HISTORY_FILE.replace(/(\.json)?$/, `-${connection.name}$1`),
+  });
+  connection.metricsStore.load();
+
+  connection.alertEngine = createAlertEngine(
+    alertConfig,
+    {
+      redisClient: connection.redisClient,
+      getQueueStats: async () => {
+        const { queues, countsError } = await collectQueueStats(connection);
+        return countsError ? null : queues;
+      },
+      getRedisMetrics: () => getRedisMetrics(connection),
+    },
+    {
+      connection: connections.size > 1 ? connection.label : null,
+      onChange: (state) => io.to(room).emit("alertsChanged", state),
+    }
+  );
+
+  // Shared refresh loop that pushes stats to the connection's dashboards
+  connection.broadcastScheduler = createBroadcastScheduler(
+    io,
+    async () => {
+      const [{ queues, countsError }, redisMetrics] = await Promise.all([
+        collectQueueStats(connection),
+        getRedisMetrics(connection),
+      ]);
+      return { queues, redisMetrics, error: countsError };
+    },
+    { room }
+  );
+}
+
+connections.forEach(setupConnectionServices);
+
+api.get("/alerts", (req, res) => {
+  const { alertEngine } = req.redisConnection;
+  res.json({ ...alertEngine.getState(), rules: alertEngine.getRules() });
+});
+
+api.get("/broadcast-status", (req, res) => {
+  res.json(req.redisConnection.broadcastScheduler.getStatus());
+});
+
+// Paginated audit log, newest first
+app.get("/api/audit", (req, res) => {
+  const start = Math.max(parseInt(req.query.start) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  res.json({
+    ...auditLog.query({
+      connection: req.query.connection || null,
+      queue: req.query.queue || null,
+      user: req.query.user || null,
+      action: req.query.action || null,
+      start,
+      limit,
+    }),
+    filters: auditLog.getFilterValues(),
+  });
+});
+
+// Prometheus scrape endpoint for every connection, served from a cache (PROMETHEUS_CACHE_TTL)
+const prometheusExporter = createPrometheusExporter(() =>
+  Promise.all(
+    Array.from(connections.values()).map(async (connection) => {
+      const [{ queues, countsError }, redisMetrics] = await Promise.all([
+        collectQueueStats(connection),
+        getRedisMetrics(connection),
+      ]);
+      return {
+        connection: connection.name,
+        queues,
+        countsError,
+        redisMetrics,
+        redisConnected: connection.redisClient.isReady,
+      };
+    })
+  )
+);
+
+app.get("/metrics", async (req, res) => {
+  try {
+    const body = await prometheusExporter.render();
+    res.set("Content-Type", prometheusExporter.contentType).send(body);
+  } catch (error) {
+    console.error("Error rendering Prometheus metrics:", error.message);
+    res.status(500).type("text/plain").send(`# ${error.message}\n`);
+  }
+});
+
 // Serve the dashboard
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-// Socket.IO for real-time updates
+// Socket.IO for real-time updates. Clients pick a Redis connection with the
+// `connection` handshake query and only receive that connection's updates.
 io.on("connection", (socket) => {
-  console.log("Client connected");
+  const connection =
+    connections.get(socket.handshake.query.connection) || defaultConnection;
+  console.log(`Client connected (${connection.name})`);
+  socket.join(connectionRoom(connection));
+  connection.broadcastScheduler.resume();
 
   // Send initial data
   const sendInitialData = async () => {
     try {
       const [queueStats, redisMetrics] = await Promise.all([
-        updateAllQueueStats(),
-        getRedisMetrics(),
+        updateAllQueueStats(connection),
+        getRedisMetrics(connection),
       ]);
 
       // Add memory usage to queue stats
@@ -927,7 +2042,7 @@ io.on("connection", (socket) => {
         `Sending data: ${statsWithMemory.length} queues, Redis metrics:`,
         !!redisMetrics
       );
-      socket.emit("queueStats", statsWithMemory);
+      emitInitialQueues(socket, statsWithMemory);
       socket.emit("redisMetrics", redisMetrics);
     } catch (error) {
       console.error("Error sending initial data:", error);
@@ -938,6 +2053,24 @@ io.on("connection", (socket) => {
 
   sendInitialData();
 
+  // Per-queue job event subscriptions (completed, failed, progress, stalled)
+  socket.on("subscribeQueue", async (queueName) => {
+    if (typeof queueName !== "string") return;
+    try {
+      if (await isKnownQueue(connection, queueName)) {
+        connection.jobEventRelay.subscribe(socket, queueName);
+      }
+    } catch (error) {
+      console.warn(`Could not subscribe to ${queueName}:`, error.message);
+    }
+  });
+
+  socket.on("unsubscribeQueue", (queueName) => {
+    if (typeof queueName === "string") {
+      connection.jobEventRelay.unsubscribe(socket, queueName);
+    }
+  });
+
   socket.on("disconnect", () => {
     console.log("Client disconnected");
   });
@@ -947,29 +2080,46 @@ io.on("connection", (socket) => {
   });
 });
 
-// DISABLED: No real-time updates to protect production Redis
-console.log("Real-time updates disabled for production safety");
-
 // Start server
 const PORT = process.env.PORT || 3000;
 
-async function startServer() {
-  const redisConnected = await connectRedis();
+async function startConnection(connection) {
+  const redisConnected = await connection.connect();
 
-  // Queue discovery disabled - only discover when explicitly requested
-  console.log("Queue discovery disabled for optimal startup performance");
+  // Background SCAN discovery keeps the queue list cached without blocking Redis
+  if (redisConnected) {
+    connection.queueDiscovery.start();
+  } else {
+    console.log(
+      `Dashboard will start without the ${connection.name} Redis connection. Connect Redis to see queue data.`
+    );
+  }
+  startRedisMetricsSampler(connection);
+  connection.broadcastScheduler.start();
+  startMetricsSampler(connection);
+  // Started even without Redis so the redisDisconnected rule can fire
+  connection.alertEngine.start();
+  return redisConnected;
+}
+
+async function startServer() {
+  const connected = await Promise.all(
+    Array.from(connections.values()).map(startConnection)
+  );
 
   server.listen(PORT, () => {
     console.log(
       `Bull Dashboard running on http://localhost:${PORT} - Fixed timeouts`
     );
-    if (redisConnected) {
+    Array.from(connections.values()).forEach((connection, index) => {
       console.log(
-        `Monitoring Redis at ${redisConfig.host}:${redisConfig.port}`
+        connected[index]
+          ? `Monitoring ${connection.label} (${
+              connection.name
+            }) at ${describeRedisTarget(connection.redisConfig)}`
+          : `${connection.label} (${connection.name}) not connected. Start Redis server to monitor queues.`
       );
-    } else {
-      console.log(`Redis not connected. Start Redis server to monitor queues.`);
-    }
+    });
   });
 }
 
@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createAuditLog,
+  describeRequest,
+  summarizeParams,
+} = require("../lib/auditLog");
+
+// Send a request through the audit middleware and answer it with status/body
+function audit(auditLog, req, status, body) {
+  const res = new EventEmitter();
+  res.json = () => {};
+  auditLog.middleware(req, res, () => {});
+  res.statusCode = status;
+  res.writableFinished = true;
+  res.json(body);
+  res.emit("close");
+  return auditLog.query({}).entries[0];
+}
+
+test("describeRequest names queue actions", () => {
+  const cases = [
+    ["/queues/email/jobs", "job.add"],
+    ["/queues/email/jobs/retry", "jobs.retry"],
+    ["/queues/email/jobs/retry-all", "jobs.retryAll"],
+    ["/queues/email/import", "jobs.import"],
+    ["/queues/email/failed-groups/abc123/retry", "failedGroup.retry"],
+    ["/queues/email/pause", "queue.pause"],
+    ["/queues/email/resume", "queue.resume"],
+    ["/queues/email/clean", "queue.clean"],
+    ["/queues/email/repeatable/remove", "repeatable.remove"],
+  ];
+  cases.forEach(([requestPath, action]) => {
+    assert.deepEqual(describeRequest("POST", requestPath, "default"), {
+      connection: "default",
+      action,
+      queue: "email",
+      jobId: null,
+    });
+  });
+});
+
+test("describeRequest picks up the job ID of single job actions", () => {
+  assert.deepEqual(
+    describeRequest(
+      "POST",
+      "/queues/email/jobs/id/order%3A42/remove",
+      "default"
+    ),
+    {
+      connection: "default",
+      action: "job.remove",
+      queue: "email",
+      jobId: "order:42",
+    }
+  );
+});
+
+test("describeRequest reads the connection from scoped routes", () => {
+  assert.deepEqual(
+    describeRequest(
+      "POST",
+      "/connections/staging/queues/my%20queue/pause",
+      "default"
+    ),
+    {
+      connection: "staging",
+      action: "queue.pause",
+      queue: "my queue",
+      jobId: null,
+    }
+  );
+  assert.equal(
+    describeRequest("POST", "/connections/staging", "default").action,
+    "POST /"
+  );
+});
+
+test("describeRequest falls back to the method and path", () => {
+  assert.deepEqual(describeRequest("POST", "/auth/login", "default"), {
+    connection: "default",
+    action: "POST /auth/login",
+    queue: null,
+    jobId: null,
+  });
+  assert.equal(
+    describeRequest("DELETE", "/queues/email/unknown", "default").action,
+    "DELETE /unknown"
+  );
+});
+
+test("describeRequest keeps malformed escapes as they are", () => {
+  assert.equal(
+    describeRequest("POST", "/queues/100%/pause", "default").queue,
+    "100%"
+  );
+});
+
+test("summarizeParams leaves out job IDs and job data", () => {
+  assert.deepEqual(
+    summarizeParams({
+      jobIds: ["1", "2"],
+      name: "send",
+      data: { email: "someone@example.com" },
+    }),
+    { name: "send", dataBytes: 31 }
+  );
+  assert.equal(summarizeParams({ jobIds: ["1"] }), null);
+  assert.equal(summarizeParams(null), null);
+});
+
+test("summarizeParams truncates large parameters", () => {
+  const summary = summarizeParams({ note: "x".repeat(3000) });
+  assert.equal(summary.truncated, true);
+  assert.equal(summary.preview.length, 2000);
+});
+
+test("middleware records query parameters and failed-group job IDs", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const auditLog = createAuditLog({
+    file: path.join(dir, "audit.log"),
+    defaultConnection: "default",
+  });
+  const user = { name: "ops", role: "operator" };
+
+  const imported = audit(
+    auditLog,
+    {
+      method: "POST",
+      path: "/queues/email/import",
+      query: { keepJobIds: "true", opts: '{"attempts":3}' },
+      user,
+    },
+    200,
+    { total: 2, imported: 2 }
+  );
+  assert.equal(imported.action, "jobs.import");
+  assert.deepEqual(imported.params, {
+    keepJobIds: "true",
+    opts: '{"attempts":3}',
+  });
+
+  const retried = audit(
+    auditLog,
+    {
+      method: "POST",
+      path: "/queues/email/failed-groups/abc123/retry",
+      query: {},
+      body: { limit: 100 },
+      user,
+    },
+    202,
+    { operationId: "op-1", total: 2, signature: "abc123", jobIds: ["4", "7"] }
+  );
+  assert.equal(retried.action, "failedGroup.retry");
+  assert.deepEqual(retried.jobIds, ["4", "7"]);
+  assert.deepEqual(retried.params, { signature: "abc123", limit: 100 });
+  assert.equal(retried.outcome.operationId, "op-1");
+
+  // Appends are asynchronous; both entries reach the file in order
+  const file = path.join(dir, "audit.log");
+  const writtenActions = () =>
+    fs.existsSync(file)
+      ? fs
+          .readFileSync(file, "utf8")
+          .split("\n")
+          .slice(0, -1)
+          .map((line) => JSON.parse(line).action)
+      : [];
+  for (let tries = 0; tries < 100 && writtenActions().length < 2; tries++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(writtenActions(), ["jobs.import", "failedGroup.retry"]);
+});
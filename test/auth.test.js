@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { createAuth, loadAuthConfig } = require("../lib/auth");
+
+const adminHash = crypto.createHash("sha256").update("s3cret").digest("hex");
+
+function authFromEnv(env) {
+  return createAuth(loadAuthConfig(env));
+}
+
+function request({ method = "GET", headers = {}, address = "10.0.0.1" } = {}) {
+  return {
+    method,
+    headers,
+    originalUrl: "/api/queues",
+    socket: { remoteAddress: address },
+  };
+}
+
+function basic(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+}
+
+// Run the Express middleware, resolving to the status it answered with, or
+// "next" when it let the request through
+function runMiddleware(auth, req) {
+  return new Promise((resolve) => {
+    const res = {
+      set() {},
+      status(code) {
+        return { json: () => resolve(code) };
+      },
+    };
+    auth.middleware(req, res, () => resolve("next"));
+  });
+}
+
+test("loadAuthConfig reads users and tokens from the environment", () => {
+  const config = loadAuthConfig({
+    AUTH_USERS: `admin:sha256:${adminHash}:operator, bob:pw , nopassword`,
+    AUTH_TOKENS: "ci:tok:viewer",
+  });
+  assert.deepEqual(config.users, [
+    { username: "admin", password: `sha256:${adminHash}`, role: "operator" },
+    { username: "bob", password: "pw", role: "viewer" },
+  ]);
+  assert.deepEqual(config.tokens, [
+    { name: "ci", token: "tok", role: "viewer" },
+  ]);
+  assert.equal(config.proxy, null);
+});
+
+test("login checks plain and sha256 passwords", () => {
+  const auth = authFromEnv({
+    AUTH_USERS: `admin:sha256:${adminHash.toUpperCase()}:operator,bob:pw`,
+  });
+  assert.equal(auth.login("admin", "s3cret", "10.0.0.1").user.role, "operator");
+  assert.equal(auth.login("admin", adminHash, "10.0.0.1"), null);
+  assert.equal(auth.login("bob", "pw", "10.0.0.1").user.name, "bob");
+  assert.equal(auth.login("bob", "PW", "10.0.0.1"), null);
+  assert.equal(auth.login("nobody", "pw", "10.0.0.1"), null);
+});
+
+test("failed passwords back off per client address", () => {
+  const auth = authFromEnv({ AUTH_USERS: "admin:s3cret:operator" });
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal(auth.login("admin", "wrong", "10.0.0.1"), null);
+  }
+  assert.equal(auth.loginRetryAfter("10.0.0.1"), 0);
+
+  assert.equal(auth.login("admin", "wrong", "10.0.0.1"), null);
+  const retryAfter = auth.loginRetryAfter("10.0.0.1");
+  assert.ok(retryAfter > 0 && retryAfter <= 1000);
+  // Not even the right password is checked while backing off
+  assert.equal(auth.login("admin", "s3cret", "10.0.0.1"), null);
+  assert.equal(
+    auth.authenticate(
+      request({ headers: { authorization: basic("admin", "s3cret") } })
+    ),
+    null
+  );
+
+  // The account itself is not locked
+  assert.equal(auth.loginRetryAfter("10.0.0.2"), 0);
+  assert.ok(auth.login("admin", "s3cret", "10.0.0.2"));
+});
+
+test("proxy user headers are only believed from trusted proxies", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const auth = authFromEnv({
+    AUTH_PROXY_HEADER: "X-Forwarded-User",
+    AUTH_PROXY_ROLE_HEADER: "X-Forwarded-Role",
+    AUTH_TRUSTED_PROXIES: "10.0.0.5",
+  });
+  const headers = {
+    "x-forwarded-user": "carol",
+    "x-forwarded-role": "operator",
+  };
+
+  assert.deepEqual(
+    auth.authenticate(request({ headers, address: "10.0.0.5" })),
+    {
+      name: "carol",
+      role: "operator",
+      via: "proxy",
+    }
+  );
+  assert.equal(
+    auth.authenticate(
+      request({
+        headers: { "x-forwarded-user": "dave", "x-forwarded-role": "admin" },
+        address: "10.0.0.5",
+      })
+    ).role,
+    "viewer"
+  );
+  assert.equal(
+    auth.authenticate(request({ headers, address: "10.0.0.6" })),
+    null
+  );
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("middleware requires a user and the operator role for mutations", async () => {
+  const auth = authFromEnv({
+    AUTH_TOKENS: "ops:op-token:operator,ro:ro-token",
+  });
+  const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+  assert.equal(await runMiddleware(auth, request()), 401);
+  assert.equal(
+    await runMiddleware(auth, request({ headers: bearer("bad") })),
+    401
+  );
+
+  const viewerGet = request({ headers: bearer("ro-token") });
+  assert.equal(await runMiddleware(auth, viewerGet), "next");
+  assert.equal(viewerGet.user.role, "viewer");
+  assert.equal(
+    await runMiddleware(
+      auth,
+      request({ method: "POST", headers: bearer("ro-token") })
+    ),
+    403
+  );
+  assert.equal(
+    await runMiddleware(
+      auth,
+      request({ method: "POST", headers: bearer("op-token") })
+    ),
+    "next"
+  );
+});
+
+test("middleware lets everyone act as an operator while auth is disabled", async () => {
+  const auth = authFromEnv({});
+  const req = request({ method: "POST" });
+  assert.equal(auth.enabled, false);
+  assert.equal(await runMiddleware(auth, req), "next");
+  assert.equal(req.user.role, "operator");
+});
+
+test("socketMiddleware rejects handshakes without a user", () => {
+  const auth = authFromEnv({ AUTH_TOKENS: "ro:ro-token:viewer" });
+  const handshake = (token) => {
+    const socket = {
+      request: request(),
+      handshake: { auth: token ? { token } : {} },
+      data: {},
+    };
+    let result;
+    auth.socketMiddleware(socket, (error) => {
+      result = error ? error.message : socket.data.user;
+    });
+    return result;
+  };
+
+  assert.equal(handshake(), "unauthorized");
+  assert.equal(handshake("bad"), "unauthorized");
+  assert.deepEqual(handshake("ro-token"), {
+    name: "ro",
+    role: "viewer",
+    via: "token",
+  });
+});
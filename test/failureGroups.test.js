@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeReason,
+  parseLimit,
+  topStackFrame,
+} = require("../lib/failureGroups");
+
+test("normalizeReason replaces IDs, timestamps and numbers", () => {
+  assert.equal(
+    normalizeReason("Order 123 not found"),
+    normalizeReason("Order 456 not found")
+  );
+  assert.equal(normalizeReason("Order 123 not found"), "Order <n> not found");
+  assert.equal(
+    normalizeReason(
+      "User 3f2b8c1e-9a4d-4f6b-8c2e-1d2a3b4c5d6e timed out at 2024-05-01T10:20:30.123Z"
+    ),
+    "User <uuid> timed out at <time>"
+  );
+  assert.equal(
+    normalizeReason("Document 507f1f77bcf86cd799439011 missing"),
+    "Document <id> missing"
+  );
+  assert.equal(
+    normalizeReason("Hash deadbeef0123456789 mismatch"),
+    "Hash <hex> mismatch"
+  );
+});
+
+test("normalizeReason collapses whitespace and fills in empty reasons", () => {
+  assert.equal(normalizeReason("  connection\n  reset "), "connection reset");
+  assert.equal(normalizeReason(""), "(no failure reason)");
+  assert.equal(normalizeReason(null), "(no failure reason)");
+});
+
+test("normalizeReason shortens long reasons", () => {
+  const reason = normalizeReason("x".repeat(400));
+  assert.equal(reason, `${"x".repeat(300)}...`);
+});
+
+test("topStackFrame returns the first frame of the latest trace", () => {
+  const stacktrace = JSON.stringify([
+    "Error: first\n    at old (/app/old.js:1:1)",
+    "Error: Order 9 not found\n    at loadOrder (/app/orders.js:42:13)\n    at process (/app/worker.js:10:5)",
+  ]);
+  assert.equal(topStackFrame(stacktrace), "at loadOrder (/app/orders.js)");
+});
+
+test("topStackFrame handles frames without a location in parentheses", () => {
+  assert.equal(
+    topStackFrame(JSON.stringify(["Error\n    at /app/index.js:7:3"])),
+    "at /app/index.js"
+  );
+});
+
+test("topStackFrame returns null without a usable trace", () => {
+  assert.equal(topStackFrame(null), null);
+  assert.equal(topStackFrame("[]"), null);
+  assert.equal(topStackFrame("not json"), null);
+  assert.equal(topStackFrame(JSON.stringify(["Error: no frames"])), null);
+});
+
+test("parseLimit defaults and bounds the number of grouped jobs", () => {
+  assert.equal(parseLimit(undefined), 10000);
+  assert.equal(parseLimit("500"), 500);
+  assert.throws(() => parseLimit("0"), { status: 400 });
+  assert.throws(() => parseLimit("100001"), /limit must be between/);
+});
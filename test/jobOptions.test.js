@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseJobOptions, parseTransferOptions } = require("../lib/jobOptions");
+
+test("parseJobOptions returns nothing for missing opts", () => {
+  assert.deepEqual(parseJobOptions(undefined), {});
+  assert.deepEqual(parseJobOptions(null), {});
+});
+
+test("parseJobOptions rejects non-object opts", () => {
+  assert.throws(() => parseJobOptions([]), { status: 400 });
+  assert.throws(() => parseJobOptions("delay"), /opts must be an object/);
+});
+
+test("parseJobOptions keeps the supported options", () => {
+  assert.deepEqual(
+    parseJobOptions({
+      delay: "1500",
+      priority: 3,
+      attempts: "5",
+      backoff: { type: "exponential", delay: 1000 },
+      jobId: 42,
+      removeOnComplete: true,
+      lifo: true,
+    }),
+    {
+      delay: 1500,
+      priority: 3,
+      attempts: 5,
+      backoff: { type: "exponential", delay: 1000 },
+      jobId: "42",
+      removeOnComplete: true,
+    }
+  );
+});
+
+test("parseJobOptions leaves out empty values", () => {
+  assert.deepEqual(
+    parseJobOptions({ delay: "", priority: null, attempts: undefined }),
+    {}
+  );
+});
+
+test("parseJobOptions accepts only numbers and digit strings", () => {
+  for (const delay of [true, [], " 1", "1.5", "-1", -1, 1.5, "1e3"]) {
+    assert.throws(
+      () => parseJobOptions({ delay }),
+      /delay must be a non-negative integer/,
+      `delay ${JSON.stringify(delay)}`
+    );
+  }
+});
+
+test("parseJobOptions checks priority and attempts ranges", () => {
+  assert.throws(() => parseJobOptions({ priority: 0 }), /priority must be/);
+  assert.throws(
+    () => parseJobOptions({ priority: 2097153 }),
+    /priority must be/
+  );
+  assert.throws(
+    () => parseJobOptions({ attempts: 0 }),
+    /attempts must be at least 1/
+  );
+});
+
+test("parseJobOptions parses both backoff forms", () => {
+  assert.deepEqual(parseJobOptions({ backoff: "2000" }), { backoff: 2000 });
+  assert.deepEqual(parseJobOptions({ backoff: { type: "fixed" } }), {
+    backoff: { type: "fixed", delay: 0 },
+  });
+  assert.throws(
+    () => parseJobOptions({ backoff: { type: "linear", delay: 10 } }),
+    /backoff.type must be one of/
+  );
+});
+
+test("parseJobOptions accepts { count, age } for removeOnComplete", () => {
+  assert.deepEqual(
+    parseJobOptions({ removeOnComplete: { count: "10", age: 3600 } }),
+    { removeOnComplete: { count: 10, age: 3600 } }
+  );
+  assert.throws(
+    () => parseJobOptions({ removeOnComplete: { count: -1 } }),
+    /removeOnComplete.count/
+  );
+});
+
+test("parseTransferOptions keeps the options an export writes except repeat", () => {
+  assert.deepEqual(
+    parseTransferOptions({
+      attempts: 0,
+      priority: 0,
+      delay: 500,
+      jobId: "7",
+      removeOnComplete: { count: 100 },
+      removeOnFail: false,
+      lifo: true,
+      timeout: 30000,
+      repeat: { pattern: "*/5 * * * *", tz: "UTC", count: 4, key: "x" },
+      timestamp: 1700000000000,
+      prevMillis: 1700000000000,
+    }),
+    {
+      delay: 500,
+      jobId: "7",
+      removeOnComplete: { count: 100 },
+      removeOnFail: false,
+      lifo: true,
+      timeout: 30000,
+    }
+  );
+});
+
+test("parseTransferOptions validates the extra options", () => {
+  assert.throws(() => parseTransferOptions({ lifo: "yes" }), /lifo/);
+  assert.throws(() => parseTransferOptions({ timeout: true }), /timeout/);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { jobIdFromKey, parseSearchQuery } = require("../lib/jobSearch");
+
+test("parseSearchQuery defaults to an ID search with default limits", () => {
+  assert.deepEqual(parseSearchQuery({ q: " 123 " }), {
+    field: "id",
+    q: "123",
+    path: [],
+    maxScanned: 10000,
+    timeLimit: 10000,
+    maxResults: 100,
+  });
+});
+
+test("parseSearchQuery requires a known field and a query", () => {
+  assert.throws(
+    () => parseSearchQuery({ field: "opts", q: "x" }),
+    (error) =>
+      error.status === 400 && /field must be one of/.test(error.message)
+  );
+  assert.throws(() => parseSearchQuery({ q: "   " }), /q must not be empty/);
+  assert.throws(() => parseSearchQuery({ q: ["a", "b"] }), /q must not be/);
+  assert.throws(() => parseSearchQuery(), /q must not be empty/);
+});
+
+test("parseSearchQuery splits data paths", () => {
+  assert.deepEqual(
+    parseSearchQuery({ field: "data", q: "A1", path: "data.items.0.sku" }).path,
+    ["items", "0", "sku"]
+  );
+  assert.deepEqual(
+    parseSearchQuery({ field: "data", q: "A1", path: "srvc_req_id" }).path,
+    ["srvc_req_id"]
+  );
+  assert.throws(
+    () => parseSearchQuery({ field: "data", q: "A1", path: "items..sku" }),
+    /Invalid data path/
+  );
+});
+
+test("parseSearchQuery ignores the path outside data searches", () => {
+  assert.deepEqual(
+    parseSearchQuery({ field: "name", q: "send", path: "a.b" }).path,
+    []
+  );
+});
+
+test("parseSearchQuery bounds the scan limits", () => {
+  const search = parseSearchQuery({
+    field: "name",
+    q: "send",
+    maxScanned: "50000",
+    timeLimit: "2000",
+    maxResults: "10",
+  });
+  assert.equal(search.maxScanned, 50000);
+  assert.equal(search.timeLimit, 2000);
+  assert.equal(search.maxResults, 10);
+
+  assert.throws(
+    () => parseSearchQuery({ q: "1", maxScanned: "200001" }),
+    /maxScanned must be between 1 and 200000/
+  );
+  assert.throws(
+    () => parseSearchQuery({ q: "1", timeLimit: "0" }),
+    /timeLimit must be between 1 and 60000/
+  );
+  assert.throws(
+    () => parseSearchQuery({ q: "1", maxResults: "1.5" }),
+    /maxResults must be between 1 and 1000/
+  );
+});
+
+test("jobIdFromKey returns the ID of job hashes", () => {
+  assert.equal(jobIdFromKey("bull:email:123", "bull:email:"), "123");
+  assert.equal(
+    jobIdFromKey("{bull}:email:order-42", "{bull}:email:"),
+    "order-42"
+  );
+});
+
+test("jobIdFromKey keeps Bull repeat job IDs", () => {
+  assert.equal(
+    jobIdFromKey("bull:email:repeat:abc123:1700000000000", "bull:email:"),
+    "repeat:abc123:1700000000000"
+  );
+});
+
+test("jobIdFromKey skips queue structures, logs and locks", () => {
+  for (const suffix of ["wait", "failed", "meta", "id", "events", "repeat"]) {
+    assert.equal(jobIdFromKey(`bull:email:${suffix}`, "bull:email:"), null);
+  }
+  assert.equal(jobIdFromKey("bull:email:123:logs", "bull:email:"), null);
+  assert.equal(jobIdFromKey("bull:email:123:lock", "bull:email:"), null);
+  assert.equal(jobIdFromKey("bull:email:repeat:abc123", "bull:email:"), null);
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+
+const {
+  csvHeader,
+  formatRecord,
+  importJobs,
+  parseImportLine,
+} = require("../lib/jobTransfer");
+
+const NOW = 1700000000000;
+
+test("formatRecord writes one NDJSON line", () => {
+  assert.equal(
+    formatRecord({ id: "1", data: { to: "a@b.c" } }, "ndjson"),
+    '{"id":"1","data":{"to":"a@b.c"}}\n'
+  );
+});
+
+test("formatRecord writes CSV rows in header order", () => {
+  assert.equal(
+    csvHeader(),
+    "id,name,data,opts,progress,timestamp,processedOn,finishedOn,failedReason,attemptsMade,stacktrace\r\n"
+  );
+  assert.equal(
+    formatRecord(
+      {
+        id: "1",
+        name: "send",
+        data: { to: "a@b.c", note: 'say "hi"' },
+        failedReason: "line one\nline two",
+        attemptsMade: 2,
+        stacktrace: [],
+      },
+      "csv"
+    ),
+    '1,send,"{""to"":""a@b.c"",""note"":""say \\""hi\\""""}",,,,,,"line one\nline two",2,[]\r\n'
+  );
+});
+
+test("parseImportLine reads an exported line", () => {
+  assert.deepEqual(
+    parseImportLine(
+      JSON.stringify({
+        id: "12",
+        name: "send",
+        data: { to: "a@b.c" },
+        opts: { attempts: 3, jobId: "12", removeOnComplete: { count: 10 } },
+        timestamp: NOW,
+        failedReason: "boom",
+      }),
+      { keepJobIds: false, now: NOW }
+    ),
+    {
+      name: "send",
+      data: { to: "a@b.c" },
+      opts: { attempts: 3, removeOnComplete: { count: 10 } },
+    }
+  );
+});
+
+test("parseImportLine keeps job IDs only when asked", () => {
+  const line = JSON.stringify({ data: {}, opts: { jobId: "12" } });
+  assert.equal(parseImportLine(line, { keepJobIds: true }).opts.jobId, "12");
+  assert.equal(
+    parseImportLine(line, { keepJobIds: false }).opts.jobId,
+    undefined
+  );
+});
+
+test("parseImportLine counts a delay from the exported timestamp", () => {
+  const line = (delay) =>
+    JSON.stringify({ data: {}, opts: { delay }, timestamp: NOW - 20000 });
+  assert.equal(parseImportLine(line(60000), { now: NOW }).opts.delay, 40000);
+  assert.equal(parseImportLine(line(5000), { now: NOW }).opts.delay, 0);
+});
+
+test("parseImportLine defaults data and rejects bad lines", () => {
+  assert.deepEqual(parseImportLine("{}", {}), {
+    name: undefined,
+    data: {},
+    opts: {},
+  });
+  assert.throws(() => parseImportLine("{", {}), /Invalid JSON/);
+  assert.throws(() => parseImportLine("[1]", {}), /must be a JSON object/);
+  assert.throws(
+    () => parseImportLine('{"name":1}', {}),
+    /name must be a string/
+  );
+  assert.throws(
+    () => parseImportLine('{"data":"text"}', {}),
+    /data must be a JSON object or array/
+  );
+  assert.throws(
+    () => parseImportLine('{"opts":{"attempts":"many"}}', {}),
+    (error) => error.status === 400
+  );
+});
+
+test("importJobs adds each line and reports bad ones by line number", async () => {
+  const input = new PassThrough();
+  const added = [];
+  const importing = importJobs(
+    input,
+    async (job) => {
+      added.push(job);
+      return { id: added.length };
+    },
+    { overrides: { attempts: 2 }, keepJobIds: false }
+  );
+  input.end(
+    [
+      JSON.stringify({ name: "a", data: { n: 1 }, opts: { attempts: 5 } }),
+      "",
+      "not json",
+      JSON.stringify({ name: "b", data: [2] }),
+    ].join("\n")
+  );
+
+  const result = await importing;
+  assert.deepEqual(added, [
+    { name: "a", data: { n: 1 }, opts: { attempts: 2 } },
+    { name: "b", data: [2], opts: { attempts: 2 } },
+  ]);
+  assert.equal(result.total, 3);
+  assert.equal(result.imported, 2);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(result.jobIds, ["1", "2"]);
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].line, 3);
+  assert.equal(result.tooLarge, false);
+});
+
+test("importJobs stops reading past maxBytes", async () => {
+  const input = new PassThrough();
+  const importing = importJobs(input, async () => ({ id: 1 }), {
+    keepJobIds: false,
+    maxBytes: 100,
+  });
+  input.end(`${JSON.stringify({ data: {} })}\n`.repeat(50));
+
+  const result = await importing;
+  assert.equal(result.tooLarge, true);
+  assert.ok(result.total < 50);
+});
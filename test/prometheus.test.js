@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CONTENT_TYPE, createPrometheusExporter } = require("../lib/prometheus");
+
+const REDIS_METRICS = {
+  cpu: { current: 12.5, history: [] },
+  memory: { used: 1048576, max: 4194304, usagePercent: 25, history: [] },
+  timestamps: [],
+  connectedClients: 4,
+  totalKeys: 120,
+  totalKeysSizeMB: 1,
+  keyspaceHits: 900,
+  keyspaceMisses: 100,
+};
+
+function connectionMetrics(overrides = {}) {
+  return {
+    connection: "default",
+    queues: [
+      {
+        name: "email",
+        prefix: "bull",
+        waiting: 3,
+        active: 1,
+        completed: 10,
+        failed: 2,
+        delayed: 0,
+        paused: true,
+        repeatable: 1,
+      },
+    ],
+    countsError: null,
+    redisMetrics: REDIS_METRICS,
+    redisConnected: true,
+    ...overrides,
+  };
+}
+
+test("renders queue counts and Redis gauges in text format", async () => {
+  const exporter = createPrometheusExporter(async () => [connectionMetrics()]);
+  const body = await exporter.render();
+  const lines = body.split("\n");
+
+  assert.equal(exporter.contentType, CONTENT_TYPE);
+  assert.ok(body.endsWith("\n"));
+  assert.ok(lines.includes('bull_dashboard_redis_up{connection="default"} 1'));
+  assert.ok(
+    lines.includes(
+      'bull_queue_jobs{connection="default",queue="email",prefix="bull",state="waiting"} 3'
+    )
+  );
+  assert.ok(
+    lines.includes(
+      'bull_queue_paused{connection="default",queue="email",prefix="bull"} 1'
+    )
+  );
+  assert.ok(
+    lines.includes(
+      'bull_dashboard_redis_memory_used_bytes{connection="default"} 1048576'
+    )
+  );
+  assert.ok(
+    lines.includes(
+      'bull_dashboard_redis_keyspace_hits_total{connection="default"} 900'
+    )
+  );
+});
+
+test("writes HELP and TYPE once per metric family", async () => {
+  const exporter = createPrometheusExporter(async () => [
+    connectionMetrics(),
+    connectionMetrics({ connection: "staging" }),
+  ]);
+  const lines = (await exporter.render()).split("\n");
+
+  assert.equal(
+    lines.filter((line) => line === "# TYPE bull_queue_jobs gauge").length,
+    1
+  );
+  assert.ok(
+    lines.includes("# TYPE bull_dashboard_redis_keyspace_hits_total counter")
+  );
+  assert.equal(
+    lines.filter((line) => line.startsWith("bull_queue_jobs{")).length,
+    10
+  );
+});
+
+test("leaves out queue counts that could not be read", async () => {
+  const exporter = createPrometheusExporter(async () => [
+    connectionMetrics({ countsError: "timeout", redisMetrics: null }),
+  ]);
+  const body = await exporter.render();
+
+  assert.match(
+    body,
+    /bull_dashboard_queue_counts_up\{connection="default"\} 0/
+  );
+  assert.doesNotMatch(body, /bull_queue_jobs\{/);
+  assert.doesNotMatch(body, /bull_dashboard_redis_cpu_percent/);
+});
+
+test("escapes label values", async () => {
+  const exporter = createPrometheusExporter(async () => [
+    connectionMetrics({ connection: 'prod "eu"\\1\nb' }),
+  ]);
+  assert.match(
+    await exporter.render(),
+    /bull_dashboard_redis_up\{connection="prod \\"eu\\"\\\\1\\nb"\} 1/
+  );
+});
+
+test("shares one collection between scrapes within the cache TTL", async () => {
+  let collections = 0;
+  const exporter = createPrometheusExporter(
+    async () => {
+      collections++;
+      return [connectionMetrics()];
+    },
+    { cacheTtl: 60000 }
+  );
+
+  const [first, second] = await Promise.all([
+    exporter.render(),
+    exporter.render(),
+  ]);
+  const third = await exporter.render();
+
+  assert.equal(collections, 1);
+  assert.equal(first, second);
+  assert.equal(first, third);
+});